@@ -10,6 +10,13 @@
 let isRecording = false;
 let currentWorkflow = null;
 let recordingTabId = null;
+let recordingSecrets = {}; // name -> { selector, value }, saved when recording stops
+let recordingFiles = {}; // fileId -> { name, type, size, data } of recorded uploads, saved with them
+let recordingTabs = new Map(); // tabId -> { alias, openerTabId } for the recording tab and tabs it opens
+let lastStepTabId = null; // tab the previous recorded step came from
+let recordingPaused = false; // steps are dropped while paused from the in-page toolbar
+let spawnedTabCount = 0;
+let activePlayback = null; // pause/step/stop state of the run started from the popup
 
 // ============================================================================
 // Message Handling
@@ -36,14 +43,50 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
+    case 'PAUSE_RECORDING':
+    case 'RESUME_RECORDING':
+      sendResponse(setRecordingPaused(message.type === 'PAUSE_RECORDING'));
+      break;
+
+    case 'UNDO_RECORDED_STEP':
+      sendResponse(undoRecordedStep());
+      break;
+
+    case 'DELETE_RECORDED_STEP':
+      sendResponse(removeRecordedStep(message.index));
+      break;
+
+    case 'SET_PICK_MODE':
+      // The toolbar's Assert and Wait apply in every frame of the tab
+      if (isRecording && sender.tab) {
+        chrome.tabs.sendMessage(sender.tab.id, { type: 'SET_PICK_MODE', mode: message.mode || null }).catch(() => {});
+      }
+      sendResponse({ success: true });
+      break;
+
     case 'GET_STATE':
       sendResponse({
         isRecording,
         currentWorkflow,
-        recordingTabId
+        recordingTabId,
+        recordingPaused,
+        playback: getPlaybackState()
       });
       break;
 
+    case 'PAUSE_PLAYBACK':
+    case 'RESUME_PLAYBACK':
+    case 'STEP_PLAYBACK':
+    case 'STOP_PLAYBACK':
+      sendResponse(controlPlayback(message.type));
+      break;
+
+    case 'UPDATE_PAUSED_STEP':
+      updatePausedStep(message.data)
+        .then(sendResponse)
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
     case 'PLAY_WORKFLOW':
       handlePlayWorkflow(message.data)
         .then(sendResponse)
@@ -80,8 +123,63 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         .catch(err => sendResponse({ success: false, error: err.message }));
       return true;
 
+    case 'GET_SECRET_NAMES':
+      getSecretNames(message.data.workflowId)
+        .then(names => sendResponse({ success: true, names }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'SAVE_SECRETS':
+      saveSecrets(message.data.workflowId, message.data.secrets)
+        .then(sendResponse)
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'GET_WORKFLOW_FILES':
+      getWorkflowFiles(message.data.workflowId)
+        .then(files => sendResponse({ success: true, files }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'SAVE_WORKFLOW_FILES':
+      saveWorkflowFiles(message.data.workflowId, message.data.files)
+        .then(sendResponse)
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'GET_DATASET':
+      getDataset(message.data.workflowId)
+        .then(dataset => sendResponse({ success: true, dataset }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'SAVE_DATASET':
+      saveDataset(message.data.workflowId, message.data.dataset)
+        .then(sendResponse)
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'PLAY_DATASET':
+      handlePlayDataset(message.data)
+        .then(sendResponse)
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'GET_RUNS':
+      getRuns(message.data.workflowId)
+        .then(sendResponse)
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'CLEAR_RUNS':
+      clearRuns(message.data.workflowId)
+        .then(sendResponse)
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
     case 'RUN_HEALTH_CHECK':
-      runHealthCheck(message.data.workflowId)
+      // On demand, so run history doesn't list it as scheduled
+      runHealthCheck(message.data.workflowId, 'manual')
         .then(sendResponse)
         .catch(err => sendResponse({ success: false, error: err.message }));
       return true;
@@ -150,18 +248,24 @@ async function handleStartRecording(data, tabId) {
   }
 
   isRecording = true;
+  chrome.webNavigation.onCompleted.addListener(handleRecordingFrameLoaded);
+  recordingPaused = false;
   recordingTabId = tabId;
+  recordingSecrets = {};
+  recordingTabs = new Map([[tabId, { alias: 'main', openerTabId: null }]]);
+  lastStepTabId = tabId;
+  spawnedTabCount = 1;
 
   // Focus the recording tab so user sees where they're recording
   await chrome.tabs.update(tabId, { active: true });
 
   // Notify content script to start recording
   try {
-    await chrome.tabs.sendMessage(tabId, { type: 'RECORDING_STARTED' });
+    await chrome.tabs.sendMessage(tabId, { type: 'RECORDING_STARTED', status: getRecordingStatus() });
   } catch (e) {
     // Content script might not be ready yet, retry after a short delay
     await sleep(100);
-    await chrome.tabs.sendMessage(tabId, { type: 'RECORDING_STARTED' });
+    await chrome.tabs.sendMessage(tabId, { type: 'RECORDING_STARTED', status: getRecordingStatus() });
   }
 
   // Update badge
@@ -173,10 +277,10 @@ async function handleStartRecording(data, tabId) {
   return { success: true, workflow: currentWorkflow, tabTitle: tab.title };
 }
 
-async function ensureContentScript(tabId) {
+async function ensureContentScript(tabId, frameId = 0) {
   try {
     // Try to ping the content script
-    const response = await chrome.tabs.sendMessage(tabId, { type: 'PING' });
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'PING' }, { frameId });
     if (response?.pong) {
       return true;
     }
@@ -185,9 +289,9 @@ async function ensureContentScript(tabId) {
   }
 
   try {
-    console.log('[Wave Background] Injecting content script into tab', tabId);
+    console.log('[Wave Background] Injecting content script into tab', tabId, 'frame', frameId);
     await chrome.scripting.executeScript({
-      target: { tabId },
+      target: { tabId, frameIds: [frameId] },
       files: ['src/content/content.js']
     });
     // Wait for script to initialize
@@ -204,25 +308,38 @@ async function handleStopRecording() {
     throw new Error('Not recording');
   }
 
-  // Notify content script
-  if (recordingTabId) {
+  // Notify content scripts in every tab that took part
+  for (const tabId of recordingTabs.keys()) {
     try {
-      await chrome.tabs.sendMessage(recordingTabId, { type: 'RECORDING_STOPPED' });
+      await chrome.tabs.sendMessage(tabId, { type: 'RECORDING_STOPPED' });
     } catch (e) {
       // Tab might be closed
     }
   }
 
-  // Save workflow
+  // Save workflow, with secret values kept apart from its steps
   currentWorkflow.updatedAt = new Date().toISOString();
   await saveWorkflow(currentWorkflow);
 
+  const secretValues = {};
+  for (const [name, { value }] of Object.entries(recordingSecrets)) {
+    secretValues[name] = value;
+  }
+  await saveSecrets(currentWorkflow.id, secretValues);
+  await saveWorkflowFiles(currentWorkflow.id, recordingFiles);
+
   const savedWorkflow = currentWorkflow;
 
   // Reset state
   isRecording = false;
+  chrome.webNavigation.onCompleted.removeListener(handleRecordingFrameLoaded);
+  recordingPaused = false;
   currentWorkflow = null;
   recordingTabId = null;
+  recordingSecrets = {};
+  recordingFiles = {};
+  recordingTabs = new Map();
+  lastStepTabId = null;
 
   // Clear badge
   await chrome.action.setBadgeText({ text: '' });
@@ -238,26 +355,304 @@ function handleRecordStep(step, tabId) {
     return;
   }
 
-  // Only record from the recording tab
-  if (tabId !== recordingTabId) {
+  if (recordingPaused) {
+    return;
+  }
+
+  // Only record from the recording tab and the tabs it opened
+  const tab = recordingTabs.get(tabId);
+  if (!tab) {
+    return;
+  }
+
+  // A step from another tab first switches playback over to that tab
+  if (tabId !== lastStepTabId) {
+    currentWorkflow.steps.push({
+      type: 'switchTab',
+      value: tab.alias,
+      timestamp: Date.now()
+    });
+    lastStepTabId = tabId;
+  }
+
+  // Sensitive values never go into the step itself
+  if (step.secret) {
+    const name = assignSecretName(step.secret, step.selector);
+    recordingSecrets[name] = { selector: step.selector, value: step.value };
+    step = { ...step, secret: name, value: null };
+  }
+
+  // So are the contents of uploaded files
+  if (step.type === 'upload') {
+    step = { ...step, files: (step.files || []).map(storeRecordedFile) };
+  }
+
+  const steps = currentWorkflow.steps;
+  const previous = steps[steps.length - 1];
+
+  // A double-click arrives after the two clicks it is made of
+  if (step.type === 'dblclick') {
+    for (let i = 0; i < 2 && steps[steps.length - 1]?.type === 'click' && steps[steps.length - 1].selector === step.selector; i++) {
+      steps.pop();
+    }
+  }
+
+  // Scrolling the same thing again only moves it further
+  if (step.type === 'scroll' && previous?.type === 'scroll' && previous.selector === step.selector &&
+      previous.frame?.url === step.frame?.url) {
+    previous.value = step.value;
+    previous.timestamp = Date.now();
+    notifyRecordingStatus();
     return;
   }
 
-  currentWorkflow.steps.push({
+  steps.push({
     ...step,
     timestamp: Date.now()
   });
+  notifyRecordingStatus();
+
+  console.log('[Wave Background] Step recorded:', step.type, steps.length);
+}
+
+// What the in-page toolbar shows
+function getRecordingStatus() {
+  return { stepCount: currentWorkflow?.steps.length || 0, paused: recordingPaused };
+}
+
+// The page toolbar gets the step count, the popup the full step list
+function notifyRecordingStatus() {
+  const status = getRecordingStatus();
+  for (const tabId of recordingTabs.keys()) {
+    chrome.tabs.sendMessage(tabId, { type: 'RECORDING_UPDATED', status }, { frameId: 0 }).catch(() => {});
+  }
+  chrome.runtime.sendMessage({
+    type: 'RECORDING_PROGRESS',
+    data: { steps: currentWorkflow?.steps || [], paused: recordingPaused }
+  }).catch(() => {});
+}
+
+function setRecordingPaused(paused) {
+  if (!isRecording) {
+    return { success: false, error: 'Not recording' };
+  }
+
+  recordingPaused = paused;
+  notifyRecordingStatus();
+  console.log('[Wave Background] Recording', paused ? 'paused' : 'resumed');
+  return { success: true, status: getRecordingStatus() };
+}
+
+function undoRecordedStep() {
+  const count = currentWorkflow?.steps.length || 0;
+  if (isRecording && !count) {
+    return { success: false, error: 'No steps to undo' };
+  }
+  return removeRecordedStep(count - 1);
+}
+
+function removeRecordedStep(index) {
+  if (!isRecording || !currentWorkflow) {
+    return { success: false, error: 'Not recording' };
+  }
+
+  const steps = currentWorkflow.steps;
+  if (!Number.isInteger(index) || !steps[index]) {
+    return { success: false, error: `No step ${index + 1} to remove` };
+  }
+  const [step] = steps.splice(index, 1);
+
+  // Secrets and files only the removed step used go with it
+  if (step.secret && !steps.some(s => s.secret === step.secret)) {
+    delete recordingSecrets[step.secret];
+  }
+  (step.files || []).forEach(file => { delete recordingFiles[file.fileId]; });
+
+  // Removing a tab switch puts recording back on the tab the last one left
+  if (step.type === 'switchTab') {
+    const previousSwitch = steps.findLast(s => s.type === 'switchTab');
+    const alias = previousSwitch?.value || 'main';
+    lastStepTabId = [...recordingTabs].find(([, tab]) => tab.alias === alias)?.[0] ?? recordingTabId;
+  }
+
+  notifyRecordingStatus();
+  console.log('[Wave Background] Step removed:', step.type, index + 1, steps.length);
+  return { success: true, step, status: getRecordingStatus() };
+}
 
-  console.log('[Wave Background] Step recorded:', step.type, currentWorkflow.steps.length);
+function assignSecretName(hint, selector) {
+  // Typing into the same field again reuses its secret
+  for (const [name, secret] of Object.entries(recordingSecrets)) {
+    if (secret.selector === selector) return name;
+  }
+
+  const base = String(hint).replace(/\W+/g, '_') || 'secret';
+  let name = base;
+  let suffix = 2;
+  while (recordingSecrets[name]) {
+    name = `${base}_${suffix++}`;
+  }
+  return name;
+}
+
+// Files too large to store arrive without data and stay a name only
+function storeRecordedFile(file) {
+  const { name, type, size, data } = file;
+  if (typeof data !== 'string') {
+    return { name, type, size };
+  }
+
+  const fileId = generateId();
+  recordingFiles[fileId] = { name, type, size, data };
+  return { name, type, size, fileId };
+}
+
+// Tabs opened from a recording tab (new-tab links, OAuth and payment popups)
+// join the recording under an alias that playback later binds to a real tab
+chrome.tabs.onCreated.addListener((tab) => {
+  if (!isRecording || !recordingTabs.has(tab.openerTabId)) return;
+
+  const alias = `tab${++spawnedTabCount}`;
+  recordingTabs.set(tab.id, { alias, openerTabId: tab.openerTabId });
+  console.log('[Wave Background] Tracking new tab:', alias, tab.id);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!isRecording || !recordingTabs.has(tabId) || changeInfo.status !== 'complete') return;
+
+  // Every page load gets a fresh content script, which has to be told again
+  resumeRecordingInTab(tabId);
+});
+
+// Iframes that load while recording (embedded checkouts, late widgets) join
+// in. Listened to only while recording, so other browsing never wakes Wave up
+function handleRecordingFrameLoaded({ tabId, frameId }) {
+  if (!isRecording || frameId === 0 || !recordingTabs.has(tabId)) return;
+  resumeRecordingInTab(tabId, frameId);
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  const tab = recordingTabs.get(tabId);
+  if (!isRecording || !tab || tabId === recordingTabId) return;
+
+  recordingTabs.delete(tabId);
+  if (!recordingPaused) {
+    currentWorkflow.steps.push({
+      type: 'closeTab',
+      value: tab.alias,
+      timestamp: Date.now()
+    });
+    notifyRecordingStatus();
+    console.log('[Wave Background] Step recorded: closeTab', currentWorkflow.steps.length);
+  }
+
+  // Playback falls back to the opener, so recording does the same
+  if (lastStepTabId === tabId) {
+    lastStepTabId = recordingTabs.has(tab.openerTabId) ? tab.openerTabId : recordingTabId;
+  }
+});
+
+// A page load tells all of the tab's frames; an iframe that loads later only itself
+async function resumeRecordingInTab(tabId, frameId = 0) {
+  try {
+    await ensureContentScript(tabId, frameId);
+    await chrome.tabs.sendMessage(tabId, { type: 'RECORDING_STARTED', status: getRecordingStatus() }, frameId ? { frameId } : undefined);
+  } catch (err) {
+    console.warn('[Wave Background] Could not resume recording in tab', tabId, 'frame', frameId, err.message);
+  }
 }
 
 // ============================================================================
 // Playback
 // ============================================================================
 
+// Debug runs can start at a top-level step (startAt) and pause before any
+// step (pauseAt, a step path), on top of the steps' own breakpoints
 async function handlePlayWorkflow(data) {
+  const { workflowId, variables, startAt = 0, pauseAt = null } = data;
+  const { workflow, tabId, stepDelay } = await preparePlayback(workflowId);
+
+  if (!Number.isInteger(startAt) || startAt < 0 || startAt >= workflow.steps.length) {
+    throw new Error(`No step ${startAt + 1} to start from`);
+  }
+
+  console.log('[Wave Background] Playing workflow:', workflow.name, startAt ? `from step ${startAt + 1}` : '');
+
+  // Overrides from "Run with..." are layered over the workflow's default variables
+  const control = startPlaybackControl(workflow);
+  control.pauseAt = pauseAt;
+  let run;
+  try {
+    run = await runWorkflow(workflow, tabId, { trigger: 'manual', variables, stepDelay, control, startAt });
+  } finally {
+    endPlaybackControl(control);
+  }
+
+  if (run.status === 'stopped') {
+    return { success: false, stopped: true, error: run.error, runId: run.id };
+  }
+
+  if (run.status !== 'success') {
+    return { success: false, error: run.error, stepIndex: run.stepIndex, runId: run.id, healed: run.healed, softFailures: run.softFailures, extracted: run.extracted?.length || 0 };
+  }
+
+  return { success: true, runId: run.id, healed: run.healed, softFailures: run.softFailures, extracted: run.extracted?.length || 0 };
+}
+
+// Plays the workflow once per dataset row, with the row's columns as variables.
+// A failed row doesn't stop the rows after it
+async function handlePlayDataset(data) {
   const { workflowId } = data;
+  const { workflow, tabId, stepDelay } = await preparePlayback(workflowId);
+
+  const dataset = await getDataset(workflowId);
+  if (!dataset?.rows?.length) {
+    throw new Error('Workflow has no dataset');
+  }
+
+  console.log('[Wave Background] Playing workflow over dataset:', workflow.name, dataset.rows.length);
+
+  const startedAt = new Date().toISOString();
+  const results = [];
+  const control = startPlaybackControl(workflow, dataset.rows.length);
+  try {
+    // Stopping ends the row in progress and skips the rest
+    for (let i = 0; i < dataset.rows.length && !control.stopRequested; i++) {
+      control.datasetRow = i + 1;
+      // Tabs a row opened would otherwise pile up over the rows after it
+      const run = await runWorkflow(workflow, tabId, {
+        trigger: 'dataset',
+        datasetRow: i + 1,
+        variables: dataset.rows[i],
+        stepDelay,
+        closeSpawnedTabs: true,
+        control
+      });
+      results.push({
+        row: i + 1,
+        status: run.status,
+        error: run.error,
+        runId: run.id,
+        duration: new Date(run.endedAt) - new Date(run.startedAt)
+      });
+    }
+  } finally {
+    endPlaybackControl(control);
+  }
+
+  dataset.lastRun = { startedAt, endedAt: new Date().toISOString(), results };
+  await chrome.storage.local.set({ [getDatasetKey(workflowId)]: dataset });
 
+  return {
+    success: true,
+    results,
+    failed: results.filter(r => r.status !== 'success' && r.status !== 'stopped').length,
+    stopped: control.stopRequested
+  };
+}
+
+// The workflow and the tab a manual run plays in
+async function preparePlayback(workflowId) {
   const workflows = await getWorkflows();
   const workflow = workflows.find(w => w.id === workflowId);
 
@@ -269,39 +664,248 @@ async function handlePlayWorkflow(data) {
     throw new Error('Workflow has no steps to play');
   }
 
-  console.log('[Wave Background] Playing workflow:', workflow.name);
-
   // Get current tab
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  let currentTabId = tab.id;
 
   // Check if we can access the current tab
   if (isRestrictedUrl(tab.url) && workflow.steps[0]?.type !== 'navigate') {
     throw new Error('Cannot play on this page. The workflow should start with a navigate step, or navigate to a regular website first.');
   }
 
-  // Determine delay between steps
-  const stepDelay = workflow.slowMode ? 1500 : 300;
+  // Steps wait for the page to settle on their own; slow mode adds a pause to watch them
+  return { workflow, tabId: tab.id, stepDelay: workflow.slowMode ? 1500 : 0 };
+}
+
+async function runWorkflow(workflow, tabId, options = {}) {
+  const { trigger = 'manual', variables = {}, stepDelay = 0, closeSpawnedTabs = false, datasetRow = null, control = null, startAt = 0 } = options;
+
+  const secrets = await getWorkflowSecrets(workflow.id);
+  const context = createRunContext(workflow, variables, secrets);
+  context.files = await getWorkflowFiles(workflow.id);
+  context.callStack = [workflow.id];
+  context.control = control;
+  context.tabs = trackPlaybackTabs(tabId);
+  startNetworkTracking();
+
+  const run = {
+    id: generateId(),
+    workflowId: workflow.id,
+    trigger,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    error: null,
+    stepIndex: null,
+    stepPath: null,
+    steps: [],
+    healed: [], // steps that only ran thanks to a fallback locator
+    softFailures: [] // { stepIndex, path, iteration, error } of failed steps set to continue
+  };
+  if (datasetRow) {
+    run.datasetRow = datasetRow;
+  }
+  if (startAt) {
+    run.startAt = startAt;
+  }
+  if (control) {
+    // Each dataset row starts with a clean list
+    control.stepStatuses = {};
+  }
+
+  // Tab and network listeners go away however the run ends
+  try {
+    await runSteps(workflow.steps, '', { workflow, context, run, stepDelay, control }, startAt);
+  } catch (err) {
+    console.error('[Wave Background] Run failed:', err);
+    run.status = 'failed';
+    run.error = err.message;
+  } finally {
+    context.tabs.stop();
+    stopNetworkTracking();
+  }
+  if (closeSpawnedTabs) {
+    await closePlaybackTabs(context.tabs);
+  }
+
+  if (run.status === 'running') {
+    run.status = 'success';
+  }
+  run.endedAt = new Date().toISOString();
+  // Data read before a failure is kept too
+  if (context.extracted.length > 0) {
+    run.extracted = context.extracted;
+  }
+
+  try {
+    await saveRun(run);
+  } catch (err) {
+    console.warn('[Wave Background] Could not save run history:', err);
+  }
+
+  return run;
+}
+
+// Runs steps in order, descending into if/repeat/forEach blocks and called
+// workflows. Paths locate a step: "2" is the third step, "2.steps.0" the first
+// inside it, "2.elseSteps.0" the first of its else branch and "2.call.0" the
+// first of the workflow it calls. Returns false once a step has stopped the run
+async function runSteps(steps, listPath, playback, start = 0) {
+  for (let i = start; i < (steps || []).length; i++) {
+    const path = listPath ? `${listPath}.${i}` : String(i);
+    if (!await runStep(steps[i], path, playback)) return false;
+  }
+  return true;
+}
+
+async function runStep(step, path, playback) {
+  const { workflow, context, run, stepDelay, control } = playback;
+  const label = formatStepPath(path);
+
+  // Paused runs wait here until resumed, or for Step to let one through
+  if (control && !await waitForPlaybackTurn(control, step, path, playback)) {
+    run.status = 'stopped';
+    run.error = 'Stopped by user';
+    run.stepPath = path;
+    return false;
+  }
+
+  console.log(`[Wave Background] Executing step ${label}:`, step.type);
+
+  const record = {
+    index: parseInt(path), // top-level step, for runs recorded before nested steps
+    path,
+    type: step.type,
+    selector: step.selector || null,
+    status: 'success',
+    duration: 0,
+    error: null,
+    attempts: 1
+  };
+  if (context.iteration) {
+    record.iteration = context.iteration;
+  }
+  run.steps.push(record);
+  reportPlaybackStep(control, path, 'running', context);
+
+  const policy = getStepPolicy(step, workflow);
+  const stepStart = Date.now();
+  const stepStartUrl = await getTabUrl(context.tabs.currentTabId);
+  context.stepStartUrl = stepStartUrl;
+  let result;
+  try {
+    const execution = executeStepWithRetries(applyElementScope({ ...step, timeout: policy.timeout }, context), context, policy, record);
+    // Stopping abandons the step wherever it is waiting
+    result = await (control ? Promise.race([execution, control.stopSignal]) : execution);
+    record.selector = result?.selector || record.selector;
+    record.duration = Date.now() - stepStart;
+    if (result?.healed) {
+      record.healed = true;
+      // Steps of a called workflow are healed in that workflow
+      const localPath = playback.callPath ? path.slice(playback.callPath.length) : path;
+      run.healed.push({
+        workflowId: workflow.id,
+        stepIndex: parseInt(localPath),
+        path: localPath,
+        from: step.selector,
+        to: result.healed.selector,
+        strategy: result.healed.strategy,
+        score: result.healed.score
+      });
+    }
+  } catch (err) {
+    record.duration = Date.now() - stepStart;
+    record.error = err.message;
+
+    if (control?.stopRequested) {
+      record.status = 'stopped';
+      record.error = 'Stopped by user';
+      reportPlaybackStep(control, path, record.status, context);
+      run.status = 'stopped';
+      run.error = 'Stopped by user';
+      run.stepIndex = record.index;
+      run.stepPath = path;
+      return false;
+    }
+
+    // Optional steps (cookie banners, promos) don't stop the run
+    if (policy.onFailure !== 'abort') {
+      console.warn(`[Wave Background] Step ${label} failed, ${policy.onFailure === 'skip' ? 'skipping' : 'continuing'}:`, err.message);
+      record.status = policy.onFailure === 'skip' ? 'skipped' : 'softFailed';
+      reportPlaybackStep(control, path, record.status, context);
+      if (policy.onFailure === 'continue') {
+        run.softFailures.push({ stepIndex: record.index, path, iteration: record.iteration, error: err.message });
+      }
+      return true;
+    }
+
+    console.error('[Wave Background] Step failed:', err);
+    record.status = 'failed';
+    reportPlaybackStep(control, path, record.status, context);
+    run.status = 'failed';
+    run.error = `Step ${label} failed: ${err.message}`;
+    run.stepIndex = record.index;
+    run.stepPath = path;
+    // Keep what the page looked like at the moment it broke
+    run.failure = await captureFailureArtifacts(context.tabs.currentTabId);
+    return false;
+  }
+
+  // Blocks time their nested steps too
+  if (CONTROL_STEP_TYPES.includes(step.type)) {
+    const completed = await runControlStep(step, path, result, record, playback);
+    record.duration = Date.now() - stepStart;
+    if (completed) reportPlaybackStep(control, path, record.status, context);
+    return completed;
+  }
+
+  reportPlaybackStep(control, path, record.status, context);
+
+  // Let whatever the step started finish before the next one
+  await settleAfterStep(context.tabs.currentTabId, step);
+  context.previousStepUrl = stepStartUrl;
+  if (stepDelay) await sleep(stepDelay);
+  return true;
+}
 
-  // Execute each step
-  for (let i = 0; i < workflow.steps.length; i++) {
-    const step = workflow.steps[i];
-    console.log(`[Wave Background] Executing step ${i + 1}/${workflow.steps.length}:`, step.type);
+// Timeout, retries and failure handling come from the step, then the
+// workflow's step defaults, then these
+const DEFAULT_STEP_POLICY = { timeout: 10000, retries: 0, onFailure: 'abort' };
+const FAILURE_POLICIES = ['abort', 'skip', 'continue'];
+const MAX_RETRIES = 10;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+function getStepPolicy(step, workflow) {
+  const defaults = workflow.stepDefaults || {};
+  const pick = (field, isValid) => [step[field], defaults[field]].find(isValid) ?? DEFAULT_STEP_POLICY[field];
+
+  return {
+    timeout: pick('timeout', value => Number.isFinite(value) && value > 0),
+    retries: Math.min(pick('retries', value => Number.isInteger(value) && value >= 0), MAX_RETRIES),
+    onFailure: pick('onFailure', value => FAILURE_POLICIES.includes(value))
+  };
+}
 
+// Retries back off exponentially: 0.5s, 1s, 2s, ... up to 10s
+async function executeStepWithRetries(step, context, policy, record) {
+  for (let attempt = 1; ; attempt++) {
+    record.attempts = attempt;
     try {
-      await executeStep(currentTabId, step);
-      // Delay between steps (longer if slowMode)
-      await sleep(stepDelay);
+      return await executeStep(context.tabs.currentTabId, step, context);
     } catch (err) {
-      console.error('[Wave Background] Step failed:', err);
-      return { success: false, error: `Step ${i + 1} failed: ${err.message}`, stepIndex: i };
+      if (attempt > policy.retries || context.control?.stopRequested) throw err;
+
+      const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+      console.warn(`[Wave Background] Step failed, retrying in ${delay}ms (attempt ${attempt + 1}/${policy.retries + 1}):`, err.message);
+      await sleep(delay);
     }
   }
-
-  return { success: true };
 }
 
-async function executeStep(tabId, step) {
+async function executeStep(tabId, step, context) {
+  // Fill in {{variable}} placeholders before anything uses the step
+  step = resolveStep(step, context);
+
   switch (step.type) {
     case 'navigate':
       // Check if URL is valid
@@ -309,51 +913,117 @@ async function executeStep(tabId, step) {
         throw new Error(`Invalid URL: ${step.value}`);
       }
       await chrome.tabs.update(tabId, { url: step.value });
-      // Wait for page load
-      await waitForTabLoad(tabId);
+      // Wait for page load, within the step's timeout like any other step
+      await waitForTabLoad(tabId, step.timeout || DEFAULT_STEP_POLICY.timeout);
       // Inject content script after navigation
       await ensureContentScript(tabId);
       break;
 
     case 'click':
+    case 'dblclick':
+    case 'contextmenu':
+    case 'hover':
+    case 'scroll':
+    case 'dragAndDrop':
+    case 'upload':
     case 'input':
-      // Ensure content script is loaded
-      await ensureContentScript(tabId);
-      // Send to content script with timeout
-      try {
-        const response = await Promise.race([
-          chrome.tabs.sendMessage(tabId, { type: 'EXECUTE_STEP', step }),
-          sleep(15000).then(() => ({ success: false, error: 'Step timed out after 15s' }))
-        ]);
-        if (!response?.success) {
-          throw new Error(response?.error || 'Step execution failed');
-        }
-      } catch (err) {
-        if (err.message?.includes('Receiving end does not exist')) {
-          // Try re-injecting content script and retry once
-          await ensureContentScript(tabId);
-          await sleep(200);
-          const retryResponse = await chrome.tabs.sendMessage(tabId, { type: 'EXECUTE_STEP', step });
-          if (!retryResponse?.success) {
-            throw new Error(retryResponse?.error || 'Step execution failed after retry');
-          }
-        } else {
-          throw err;
-        }
+    case 'keydown':
+    case 'assert':
+      return sendStepToContent(tabId, step);
+
+    case 'waitFor':
+      return waitForStepCondition(tabId, step, context);
+
+    case 'if':
+      return evaluateStepCondition(tabId, step, context);
+
+    case 'repeat':
+    case 'forEach':
+      return getLoopItems(tabId, step);
+
+    case 'callWorkflow':
+      return { result: await getWorkflowCall(step, context) };
+
+    case 'extract':
+      return extractStepData(tabId, step, context);
+
+    case 'switchTab': {
+      const targetTabId = await claimPlaybackTab(context.tabs, step.value, step.timeout);
+      await waitForTabReady(targetTabId);
+      await ensureContentScript(targetTabId);
+      context.tabs.currentTabId = targetTabId;
+      break;
+    }
+
+    case 'closeTab': {
+      if (step.value === 'main') {
+        throw new Error('The main tab cannot be closed');
+      }
+      const closingTabId = context.tabs.aliases[step.value];
+      if (closingTabId === undefined) {
+        throw new Error(`Unknown tab: ${step.value}`);
+      }
+      await closeTabWhenDone(closingTabId);
+      delete context.tabs.aliases[step.value];
+
+      if (context.tabs.currentTabId === closingTabId) {
+        const openerTabId = context.tabs.openers[closingTabId];
+        const openerOpen = Object.values(context.tabs.aliases).includes(openerTabId);
+        context.tabs.currentTabId = openerOpen ? openerTabId : context.tabs.aliases.main;
       }
       break;
+    }
 
-    case 'wait':
-      // Simple wait step
+    case 'wait': {
+      // Simple wait step, at most 30s unless the step's timeout allows longer
       const waitTime = parseInt(step.value) || 1000;
-      await sleep(Math.min(waitTime, 30000)); // Max 30s wait
+      await sleep(Math.min(waitTime, Math.max(MAX_WAIT_MS, step.timeout || 0)));
       break;
+    }
 
     default:
       console.warn('[Wave Background] Unknown step type:', step.type);
   }
 }
 
+const MAX_WAIT_MS = 30000;
+
+async function sendStepToContent(tabId, step) {
+  const timeout = step.timeout || DEFAULT_STEP_POLICY.timeout;
+  // Steps recorded inside an iframe run in the matching frame
+  const frameId = await findStepFrame(tabId, step.frame, timeout);
+  // Ensure content script is loaded
+  await ensureContentScript(tabId, frameId);
+  // The page enforces the step's timeout; this only catches a page that stopped responding
+  const execute = () => Promise.race([
+    chrome.tabs.sendMessage(tabId, { type: 'EXECUTE_STEP', step }, { frameId }),
+    sleep(timeout + 5000).then(() => ({ success: false, error: `Step timed out after ${Math.round(timeout / 1000) + 5}s` }))
+  ]);
+
+  try {
+    const response = await execute();
+    if (!response?.success) {
+      throw new Error(response?.error || 'Step execution failed');
+    }
+    // The content script reports which selector actually matched, and what
+    // if and forEach steps found
+    return { selector: response.selector || step.selector, healed: response.healed || null, result: response.result };
+  } catch (err) {
+    if (err.message?.includes('Receiving end does not exist')) {
+      // Try re-injecting content script and retry once
+      await ensureContentScript(tabId, frameId);
+      await sleep(200);
+      const retryResponse = await execute();
+      if (!retryResponse?.success) {
+        throw new Error(retryResponse?.error || 'Step execution failed after retry');
+      }
+      return { selector: retryResponse.selector || step.selector, healed: retryResponse.healed || null, result: retryResponse.result };
+    } else {
+      throw err;
+    }
+  }
+}
+
 function isValidUrl(string) {
   try {
     const url = new URL(string);
@@ -363,31 +1033,957 @@ function isValidUrl(string) {
   }
 }
 
-function waitForTabLoad(tabId) {
-  return new Promise((resolve) => {
+function waitForTabLoad(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error(`Page did not finish loading after ${timeout / 1000}s`));
+    }, timeout);
+
     function listener(updatedTabId, changeInfo) {
       if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
         chrome.tabs.onUpdated.removeListener(listener);
-        // Extra delay for JS to initialize
-        setTimeout(resolve, 500);
+        resolve();
       }
     }
     chrome.tabs.onUpdated.addListener(listener);
-    // Timeout after 30s
-    setTimeout(() => {
-      chrome.tabs.onUpdated.removeListener(listener);
-      resolve();
-    }, 30000);
   });
 }
 
-// ============================================================================
-// Storage
-// ============================================================================
+async function captureFailureArtifacts(tabId) {
+  const artifacts = { url: null, title: null, screenshot: null, dom: null };
 
-async function getWorkflows() {
-  const result = await chrome.storage.local.get('workflows');
-  return result.workflows || [];
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    artifacts.url = tab.url;
+    artifacts.title = tab.title;
+    artifacts.screenshot = await captureTabScreenshot(tab);
+  } catch (err) {
+    console.warn('[Wave Background] Could not capture screenshot:', err.message);
+  }
+
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_DOM_SNAPSHOT' }, { frameId: 0 });
+    if (response?.success) {
+      artifacts.dom = response.html;
+    }
+  } catch (err) {
+    console.warn('[Wave Background] Could not capture DOM snapshot:', err.message);
+  }
+
+  return artifacts;
+}
+
+// captureVisibleTab only sees a window's active tab. Background (health
+// check) tabs keep just the DOM snapshot: bringing them to the front would
+// take over the window the user is working in
+async function captureTabScreenshot(tab) {
+  if (!tab.active) return null;
+  return chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 60 });
+}
+
+// ============================================================================
+// Playback Controls
+// ============================================================================
+
+/**
+ * Pause, Step and Stop for the run started from the popup, which follows it
+ * through PLAYBACK_PROGRESS messages. Pausing takes effect before the next
+ * step starts; stopping also abandons the step in progress.
+ */
+function startPlaybackControl(workflow, datasetRows = null) {
+  if (activePlayback) {
+    throw new Error(`"${activePlayback.workflowName}" is already playing`);
+  }
+
+  let signalStop;
+  const control = {
+    workflowId: workflow.id,
+    workflowName: workflow.name,
+    status: 'running', // running, paused or stopping
+    currentPath: null,
+    iteration: null,
+    stepStatuses: {}, // path -> status of the step's latest run, this row
+    datasetRow: datasetRows ? 1 : null,
+    datasetRows,
+    tabId: null,
+    pauseAt: null, // path of the step a "run until" pauses before
+    pausedStep: null, // { step, workflowId, localPath, tabId, frameId } while paused before a step
+    stepsAllowed: 0, // steps Step lets through while paused
+    stopRequested: false,
+    resume: null, // wakes a paused run
+    stopSignal: new Promise((resolve, reject) => { signalStop = reject; }),
+    signalStop: () => signalStop(new Error('Stopped by user'))
+  };
+  // Only raced against steps; nothing else waits on it
+  control.stopSignal.catch(() => {});
+
+  activePlayback = control;
+  notifyPlaybackProgress();
+  return control;
+}
+
+function endPlaybackControl(control) {
+  if (activePlayback === control) {
+    activePlayback = null;
+    notifyPlaybackProgress();
+  }
+}
+
+// What the popup shows, without the control's internals
+function getPlaybackState() {
+  if (!activePlayback) return null;
+
+  const { workflowId, workflowName, status, currentPath, iteration, stepStatuses, datasetRow, datasetRows } = activePlayback;
+  return { workflowId, workflowName, status, currentPath, iteration, stepStatuses, datasetRow, datasetRows };
+}
+
+function notifyPlaybackProgress() {
+  // Nobody listens while the popup is closed
+  chrome.runtime.sendMessage({ type: 'PLAYBACK_PROGRESS', data: getPlaybackState() }).catch(() => {});
+}
+
+function reportPlaybackStep(control, path, status, context) {
+  if (!control) return;
+
+  control.currentPath = path;
+  control.iteration = context.iteration || null;
+  control.tabId = context.tabs.currentTabId;
+  control.stepStatuses[path] = status;
+  notifyPlaybackProgress();
+}
+
+// Resolves false once the run has been stopped. Breakpoints pause before
+// their step, on every pass through a loop
+async function waitForPlaybackTurn(control, step, path, playback) {
+  if (control.status === 'running' && (step.breakpoint || path === control.pauseAt)) {
+    control.status = 'paused';
+  }
+  if (path === control.pauseAt) {
+    control.pauseAt = null;
+  }
+
+  if (control.status === 'paused' && control.stepsAllowed === 0) {
+    // Point at the step that runs next
+    control.currentPath = path;
+    control.iteration = playback.context.iteration || null;
+    notifyPlaybackProgress();
+    await showDebugOverlay(control, step, path, playback);
+
+    while (control.status === 'paused' && control.stepsAllowed === 0) {
+      await new Promise(resolve => { control.resume = resolve; });
+    }
+    await hideDebugOverlay(control);
+  }
+  if (control.stopRequested) return false;
+
+  if (control.stepsAllowed > 0) {
+    control.stepsAllowed--;
+  }
+  return true;
+}
+
+// The overlay goes to the frame the step runs in
+async function showDebugOverlay(control, step, path, playback) {
+  const { workflow, context, callPath } = playback;
+  const tabId = context.tabs.currentTabId;
+  const pausedStep = {
+    step,
+    // Steps of a called workflow are fixed in that workflow
+    workflowId: workflow.id,
+    localPath: callPath ? path.slice(callPath.length) : path,
+    tabId,
+    frameId: 0
+  };
+  control.pausedStep = pausedStep;
+
+  try {
+    const resolved = resolveStep(applyElementScope(step, context), context);
+    // Only what locating the element needs; typed values stay out of the page
+    const { selector, locators, fingerprint, scope } = resolved;
+    // A frame that isn't there (yet) gets the overlay on the page itself
+    pausedStep.frameId = await findStepFrame(tabId, resolved.frame, 0).catch(() => 0);
+    await ensureContentScript(tabId, pausedStep.frameId);
+    await chrome.tabs.sendMessage(tabId, {
+      type: 'SHOW_DEBUG_OVERLAY',
+      step: { type: step.type, selector, locators, fingerprint, scope },
+      title: `Paused before step ${formatStepPath(path)} · ${step.type}${step.breakpoint ? ' (breakpoint)' : ''}`
+    }, { frameId: pausedStep.frameId });
+  } catch (err) {
+    console.warn('[Wave Background] Could not show debug overlay:', err.message);
+  }
+}
+
+async function hideDebugOverlay(control) {
+  const { pausedStep } = control;
+  control.pausedStep = null;
+  if (!pausedStep) return;
+
+  try {
+    await chrome.tabs.sendMessage(pausedStep.tabId, { type: 'HIDE_DEBUG_OVERLAY' }, { frameId: pausedStep.frameId });
+  } catch (err) {
+    // The tab or frame is gone
+  }
+}
+
+// A selector fixed in the overlay is used when the run continues, and saved
+// to the workflow
+async function updatePausedStep(data) {
+  const pausedStep = activePlayback?.pausedStep;
+  if (!pausedStep) {
+    throw new Error('Playback is not paused on a step');
+  }
+
+  const selector = typeof data?.selector === 'string' ? data.selector.trim() : '';
+  if (!selector) {
+    throw new Error('Selector is required');
+  }
+
+  // The overlay only sees this run's values, which would replace the
+  // placeholders for every later run
+  const runSelector = pausedStep.step.selector;
+  if (runSelector?.match(VARIABLE_PATTERN)) {
+    throw new Error('This selector uses {{variables}}. Change it in the step editor instead');
+  }
+
+  const applySelector = step => {
+    step.selector = selector;
+    step.locators = [
+      { strategy: data.strategy || 'css', selector },
+      ...(step.locators || []).filter(l => l.selector !== selector)
+    ];
+  };
+
+  // Deleted or edited since the run started; the run still uses the fix
+  const workflows = await getWorkflows();
+  const workflow = workflows.find(w => w.id === pausedStep.workflowId);
+  const savedStep = workflow && getStepAtPath(workflow.steps, pausedStep.localPath);
+  const canSave = savedStep?.selector === runSelector;
+
+  applySelector(pausedStep.step);
+  if (!canSave) {
+    return { success: true, saved: false };
+  }
+
+  applySelector(savedStep);
+  await saveWorkflow({ ...workflow, updatedAt: new Date().toISOString() });
+  return { success: true, saved: true };
+}
+
+function controlPlayback(action) {
+  const control = activePlayback;
+  if (!control) {
+    return { success: false, error: 'Nothing is playing' };
+  }
+
+  switch (action) {
+    case 'PAUSE_PLAYBACK':
+      if (control.status === 'running') control.status = 'paused';
+      break;
+
+    case 'RESUME_PLAYBACK':
+      if (control.status === 'paused') control.status = 'running';
+      break;
+
+    case 'STEP_PLAYBACK':
+      // Runs the next step, then stays paused
+      if (control.status === 'paused') control.stepsAllowed = 1;
+      break;
+
+    case 'STOP_PLAYBACK':
+      control.status = 'stopping';
+      control.stopRequested = true;
+      control.signalStop();
+      // Ends waits in the page too, in every frame
+      if (control.tabId !== null) {
+        chrome.tabs.sendMessage(control.tabId, { type: 'CANCEL_STEP' }).catch(() => {});
+      }
+      break;
+  }
+
+  control.resume?.();
+  control.resume = null;
+  notifyPlaybackProgress();
+  return { success: true, playback: getPlaybackState() };
+}
+
+// ============================================================================
+// Control Flow
+// ============================================================================
+
+const CONTROL_STEP_TYPES = ['if', 'repeat', 'forEach', 'callWorkflow'];
+const MAX_LOOP_ITERATIONS = 1000;
+
+// Runs the branch an if step chose, a loop's nested steps once per item, or
+// the steps of a called workflow
+async function runControlStep(step, path, result, record, playback) {
+  const { context } = playback;
+
+  if (step.type === 'callWorkflow') {
+    return runWorkflowCall(result.result, path, record, playback);
+  }
+
+  if (step.type === 'if') {
+    const branch = result.result ? 'steps' : 'elseSteps';
+    record.branch = result.result ? 'then' : 'else';
+    return runSteps(step[branch], `${path}.${branch}`, playback);
+  }
+
+  const items = result.result;
+  record.iterations = items.length;
+
+  // Loops set {{index}} (from 1) and forEach its item variable for their
+  // nested steps; inner loops shadow outer ones until they finish
+  const name = step.type === 'forEach' ? getLoopVariable(step) : null;
+  const saved = { iteration: context.iteration, scope: context.scope, variables: {} };
+  for (const bound of ['index', name].filter(Boolean)) {
+    saved.variables[bound] = Object.prototype.hasOwnProperty.call(context.variables, bound)
+      ? { value: context.variables[bound] }
+      : null;
+  }
+
+  try {
+    for (let i = 0; i < items.length; i++) {
+      context.iteration = i + 1;
+      context.variables.index = String(i + 1);
+      if (name) {
+        context.variables[name] = items[i];
+      }
+      // Nested steps with ":scope" selectors look inside the current element
+      if (step.type === 'forEach' && getLoopSource(step) === 'elements') {
+        context.scope = { selector: result.selector, index: i, frame: step.frame || null, parent: saved.scope || null };
+      }
+
+      if (!await runSteps(step.steps, `${path}.steps`, playback)) return false;
+    }
+    return true;
+  } finally {
+    context.iteration = saved.iteration;
+    context.scope = saved.scope;
+    for (const [bound, previous] of Object.entries(saved.variables)) {
+      if (previous) {
+        context.variables[bound] = previous.value;
+      } else {
+        delete context.variables[bound];
+      }
+    }
+  }
+}
+
+async function evaluateStepCondition(tabId, step, context) {
+  switch (step.condition) {
+    case 'exists':
+    case 'textMatches':
+      // Checked once, as the page is after the previous step
+      return sendStepToContent(tabId, step);
+
+    case 'urlMatches':
+      return { result: matchesPattern(await getTabUrl(tabId) || '', step.value || '') };
+
+    case 'variableEquals': {
+      const name = (step.variable || '').replace(/[{}\s]/g, '');
+      if (!name) {
+        throw new Error('If step has no variable to compare');
+      }
+      return { result: resolveTemplate(`{{${name}}}`, context) === (step.value ?? '') };
+    }
+
+    default:
+      throw new Error(`Unknown condition: ${step.condition}`);
+  }
+}
+
+async function getLoopItems(tabId, step) {
+  let items;
+  let selector;
+
+  if (step.type === 'repeat') {
+    const count = parseInt(step.value);
+    if (!(count >= 0)) {
+      throw new Error(`Invalid repeat count: ${step.value}`);
+    }
+    items = Array(Math.min(count, MAX_LOOP_ITERATIONS + 1)).fill(null);
+  } else if (getLoopSource(step) === 'elements') {
+    // A bad variable name fails the step before the page is asked
+    getLoopVariable(step);
+    // The page returns the text of each visible match
+    ({ result: items, selector } = await sendStepToContent(tabId, step));
+  } else {
+    getLoopVariable(step);
+    items = parseLoopList(step.value);
+  }
+
+  if (items.length > MAX_LOOP_ITERATIONS) {
+    throw new Error(`Loops are limited to ${MAX_LOOP_ITERATIONS} iterations`);
+  }
+  return { selector, result: items };
+}
+
+function getLoopSource(step) {
+  return step.source || (step.selector ? 'elements' : 'list');
+}
+
+function getLoopVariable(step) {
+  const name = step.variable?.trim() || 'item';
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Invalid loop variable "${name}": use letters, digits and _`);
+  }
+  return name;
+}
+
+// A JSON array, one value per line, or comma-separated values
+function parseLoopList(value) {
+  const text = String(value ?? '').trim();
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) {
+        return list.map(item => typeof item === 'string' ? item : JSON.stringify(item));
+      }
+    } catch (e) {
+      // Not JSON after all, split it below
+    }
+  }
+
+  return text.split(text.includes('\n') ? '\n' : ',').map(item => item.trim()).filter(Boolean);
+}
+
+// Steps whose selectors start with ":scope" run on the element a forEach is
+// on, in that element's frame
+function applyElementScope(step, context) {
+  if (!context.scope || ![step.selector, step.target].some(isScopedSelector)) {
+    return step;
+  }
+  return { ...step, scope: context.scope, frame: context.scope.frame };
+}
+
+function isScopedSelector(selector) {
+  return typeof selector === 'string' && selector.trim().startsWith(':scope');
+}
+
+// "2.steps.0" -> steps[2].steps[0]
+function getStepAtPath(steps, path) {
+  const parts = String(path).split('.');
+  let step = steps?.[parts[0]];
+  for (let i = 1; step && i < parts.length; i += 2) {
+    step = step[parts[i]]?.[parts[i + 1]];
+  }
+  return step || null;
+}
+
+// "2.elseSteps.0" -> "3.else.1", as steps are numbered in the step editor
+function formatStepPath(path) {
+  return String(path).split('.')
+    .filter(part => part !== 'steps')
+    .map(part => part === 'elseSteps' ? 'else' : part === 'call' ? part : parseInt(part) + 1)
+    .join('.');
+}
+
+// ============================================================================
+// Workflow Calls
+// ============================================================================
+
+// The workflow a call step runs, e.g. a shared login, and the variables it
+// passes, resolved in the caller's context. Calling a workflow that is
+// already running, directly or through others, would never end
+async function getWorkflowCall(step, context) {
+  if (!step.workflowId) {
+    throw new Error('No workflow to call');
+  }
+
+  const workflows = await getWorkflows();
+  const workflow = workflows.find(w => w.id === step.workflowId);
+  if (!workflow) {
+    throw new Error('Called workflow not found, it may have been deleted');
+  }
+
+  if (context.callStack.includes(workflow.id)) {
+    const names = [...context.callStack, workflow.id].map(id => workflows.find(w => w.id === id)?.name || id);
+    throw new Error(`Recursive call: ${names.join(' → ')}`);
+  }
+
+  const variables = {};
+  for (const [name, value] of Object.entries(parseCallVariables(step.value))) {
+    variables[name] = resolveTemplate(value, context);
+  }
+
+  return { workflow, variables };
+}
+
+// One name=value per line; values may contain "=" and {{variables}}
+function parseCallVariables(text) {
+  const variables = {};
+  for (const line of String(text ?? '').split('\n')) {
+    if (!line.trim()) continue;
+
+    const separator = line.indexOf('=');
+    const name = line.slice(0, separator).trim();
+    if (separator < 0 || !/^\w+$/.test(name)) {
+      throw new Error(`Invalid variable "${line.trim()}", expected name=value`);
+    }
+    variables[name] = line.slice(separator + 1).trim();
+  }
+  return variables;
+}
+
+// The called workflow's steps see its own defaults, secrets and files, with
+// the passed variables on top, and play in the caller's tabs
+async function runWorkflowCall(call, path, record, playback) {
+  const { context } = playback;
+  const { workflow, variables } = call;
+  record.workflowName = workflow.name;
+
+  const secrets = await getWorkflowSecrets(workflow.id);
+  const files = await getWorkflowFiles(workflow.id);
+
+  const saved = { variables: context.variables, secrets: context.secrets, files: context.files, callStack: context.callStack };
+  context.variables = { ...(workflow.variables || {}), ...variables };
+  context.secrets = secrets;
+  context.files = files;
+  context.callStack = [...saved.callStack, workflow.id];
+
+  try {
+    return await runSteps(workflow.steps, `${path}.call`, { ...playback, workflow, callPath: `${path}.call.` });
+  } finally {
+    Object.assign(context, saved);
+  }
+}
+
+// ============================================================================
+// Extraction
+// ============================================================================
+
+// Extract steps keep what they read in a variable for the steps after them,
+// with lists and tables as JSON, and in the run's extracted data
+async function extractStepData(tabId, step, context) {
+  const name = step.variable?.trim();
+  if (!name) {
+    throw new Error('Extract step has no variable name');
+  }
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Invalid variable name "${name}"`);
+  }
+
+  const response = await sendStepToContent(tabId, step);
+  const value = response.result ?? '';
+  context.variables[name] = typeof value === 'string' ? value : JSON.stringify(value);
+  context.extracted.push({ name, value, ...(context.iteration ? { iteration: context.iteration } : {}) });
+  return response;
+}
+
+// ============================================================================
+// Waits
+// ============================================================================
+
+// Implicit waits after every step, so the next one starts as soon as the page
+// is ready instead of after a fixed delay. They only ever cost time, never fail a step.
+const SETTLE_NETWORK_QUIET_MS = 100;
+const SETTLE_DOM_QUIET_MS = 100;
+const SETTLE_NETWORK_TIMEOUT = 5000;
+const SETTLE_DOM_TIMEOUT = 1000; // pages with tickers or animations never go quiet
+
+async function settleAfterStep(tabId, step) {
+  if (['wait', 'waitFor', 'closeTab'].includes(step.type)) return;
+
+  try {
+    // Give a navigation or request started by the step a moment to show up
+    await sleep(50);
+    await waitForNetworkIdle(tabId, SETTLE_NETWORK_QUIET_MS, SETTLE_NETWORK_TIMEOUT);
+    await waitForTabComplete(tabId, SETTLE_NETWORK_TIMEOUT);
+
+    const frameId = step.frame ? await findStepFrame(tabId, step.frame, 0) : 0;
+    await chrome.tabs.sendMessage(tabId, {
+      type: 'WAIT_FOR_DOM_STABLE',
+      quietMs: SETTLE_DOM_QUIET_MS,
+      timeout: SETTLE_DOM_TIMEOUT
+    }, { frameId });
+  } catch (err) {
+    // The page may be mid-navigation or the frame gone; the next step waits for its element anyway
+  }
+}
+
+async function waitForStepCondition(tabId, step, context) {
+  const timeout = step.timeout || DEFAULT_STEP_POLICY.timeout;
+
+  switch (step.condition) {
+    case 'networkIdle': {
+      const quietMs = parseInt(step.value) || 500;
+      if (!await waitForNetworkIdle(tabId, quietMs, timeout)) {
+        throw new Error(`Network still busy after ${timeout / 1000}s`);
+      }
+      return;
+    }
+
+    case 'urlChange': {
+      // Without a pattern, any URL other than the one before the previous step (usually a click)
+      // will do. With no step before it, the URL this one started on is the baseline
+      const pattern = step.value || null;
+      const baseline = context.previousStepUrl ?? context.stepStartUrl;
+      const changed = await waitForTabCondition(tabId, tab => pattern
+        ? matchesPattern(tab.url, pattern)
+        : tab.url !== baseline, timeout);
+      if (!changed) {
+        throw new Error(pattern ? `URL did not match ${pattern}` : 'URL did not change');
+      }
+      return;
+    }
+
+    default:
+      // Element and DOM conditions are checked in the page
+      return sendStepToContent(tabId, step);
+  }
+}
+
+async function waitForTabComplete(tabId, timeout) {
+  return waitForTabCondition(tabId, tab => tab.status === 'complete', timeout);
+}
+
+async function waitForTabCondition(tabId, check, timeout) {
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    if (check(await chrome.tabs.get(tabId))) return true;
+    if (Date.now() >= deadline) return false;
+    await sleep(100);
+  }
+}
+
+async function getTabUrl(tabId) {
+  try {
+    return (await chrome.tabs.get(tabId)).url;
+  } catch (e) {
+    return null;
+  }
+}
+
+// "*" is a wildcard and the whole URL must match, or /regex/ — as in assertions
+function matchesPattern(value, pattern) {
+  const regex = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]).test(value);
+    } catch (e) {
+      throw new Error(`Invalid pattern "${pattern}"`);
+    }
+  }
+
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(value);
+}
+
+// Requests in flight per tab while workflows play: tabId -> Map(requestId -> startedAt).
+// Listeners are only attached during playback so browsing doesn't wake the worker.
+const inFlightRequests = new Map();
+let networkTrackingRuns = 0;
+
+// Requests open this long are long polls or streams, not the page loading
+const LONG_REQUEST_MS = 10000;
+const IGNORED_REQUEST_TYPES = ['websocket', 'ping', 'csp_report'];
+const REQUEST_FILTER = { urls: ['<all_urls>'] };
+
+function startNetworkTracking() {
+  if (networkTrackingRuns++ > 0) return;
+
+  chrome.webRequest.onBeforeRequest.addListener(trackRequestStart, REQUEST_FILTER);
+  chrome.webRequest.onCompleted.addListener(trackRequestEnd, REQUEST_FILTER);
+  chrome.webRequest.onErrorOccurred.addListener(trackRequestEnd, REQUEST_FILTER);
+}
+
+function stopNetworkTracking() {
+  if (--networkTrackingRuns > 0) return;
+
+  chrome.webRequest.onBeforeRequest.removeListener(trackRequestStart);
+  chrome.webRequest.onCompleted.removeListener(trackRequestEnd);
+  chrome.webRequest.onErrorOccurred.removeListener(trackRequestEnd);
+  inFlightRequests.clear();
+}
+
+function trackRequestStart(details) {
+  if (details.tabId < 0 || IGNORED_REQUEST_TYPES.includes(details.type)) return;
+
+  if (!inFlightRequests.has(details.tabId)) {
+    inFlightRequests.set(details.tabId, new Map());
+  }
+  inFlightRequests.get(details.tabId).set(details.requestId, Date.now());
+}
+
+function trackRequestEnd(details) {
+  inFlightRequests.get(details.tabId)?.delete(details.requestId);
+}
+
+function countPendingRequests(tabId) {
+  const cutoff = Date.now() - LONG_REQUEST_MS;
+  let count = 0;
+  for (const startedAt of inFlightRequests.get(tabId)?.values() || []) {
+    if (startedAt > cutoff) count++;
+  }
+  return count;
+}
+
+// Resolves true once no request has been pending for quietMs, false on timeout
+async function waitForNetworkIdle(tabId, quietMs, timeout) {
+  const deadline = Date.now() + timeout;
+  let quietSince = Date.now();
+
+  while (Date.now() < deadline) {
+    if (countPendingRequests(tabId) > 0) {
+      quietSince = Date.now();
+    } else if (Date.now() - quietSince >= quietMs) {
+      return true;
+    }
+    await sleep(50);
+  }
+  return false;
+}
+
+// ============================================================================
+// Playback Tabs
+// ============================================================================
+
+/**
+ * Follow the tabs a run opens. Tabs opened from any tab of the run are queued
+ * until a switchTab step claims them for its alias, in the order they opened.
+ */
+function trackPlaybackTabs(mainTabId) {
+  const tabs = {
+    currentTabId: mainTabId,
+    aliases: { main: mainTabId },
+    openers: {}, // spawned tabId -> openerTabId
+    unclaimed: [],
+    stop: () => chrome.tabs.onCreated.removeListener(onCreated)
+  };
+
+  function onCreated(tab) {
+    if (tab.openerTabId === mainTabId || tabs.openers[tab.openerTabId] !== undefined) {
+      tabs.openers[tab.id] = tab.openerTabId;
+      tabs.unclaimed.push(tab.id);
+    }
+  }
+
+  chrome.tabs.onCreated.addListener(onCreated);
+  return tabs;
+}
+
+async function claimPlaybackTab(tabs, alias, timeout = 10000) {
+  if (tabs.aliases[alias] !== undefined) {
+    return tabs.aliases[alias];
+  }
+
+  const deadline = Date.now() + timeout;
+  while (tabs.unclaimed.length === 0) {
+    if (Date.now() > deadline) {
+      throw new Error(`Tab "${alias}" did not open within ${timeout / 1000}s`);
+    }
+    await sleep(200);
+  }
+
+  const tabId = tabs.unclaimed.shift();
+  tabs.aliases[alias] = tabId;
+  return tabId;
+}
+
+async function waitForTabReady(tabId, timeout = 30000) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId);
+    // New tabs sit on about:blank until their real URL starts loading
+    if (tab.status === 'complete' && !tab.pendingUrl && !isRestrictedUrl(tab.url)) {
+      return tab;
+    }
+    await sleep(200);
+  }
+
+  throw new Error('Tab did not finish loading within 30s');
+}
+
+async function closeTabWhenDone(tabId, grace = 3000) {
+  // OAuth and payment popups usually close themselves once they hand back
+  // their result, so give them a moment before closing them ourselves
+  const deadline = Date.now() + grace;
+  while (Date.now() < deadline) {
+    try {
+      await chrome.tabs.get(tabId);
+    } catch (e) {
+      return;
+    }
+    await sleep(200);
+  }
+
+  try {
+    await chrome.tabs.remove(tabId);
+  } catch (e) {
+    // Closed itself meanwhile
+  }
+}
+
+async function closePlaybackTabs(tabs) {
+  for (const tabId of Object.keys(tabs.openers)) {
+    try {
+      await chrome.tabs.remove(Number(tabId));
+    } catch (e) {
+      // Already closed
+    }
+  }
+}
+
+// ============================================================================
+// Frames
+// ============================================================================
+
+/**
+ * Find the frame a step was recorded in. Frames are matched by their iframe
+ * selector path first, then by URL (ignoring query and hash, which often
+ * carry session tokens). Iframes can load late, so this keeps looking.
+ */
+async function findStepFrame(tabId, frame, timeout = 10000) {
+  if (!frame) return 0;
+
+  const deadline = Date.now() + timeout;
+  while (true) {
+    const frameId = await matchFrame(tabId, frame);
+    if (frameId !== null) return frameId;
+
+    if (Date.now() > deadline) {
+      throw new Error(`Frame not found: ${frame.url}`);
+    }
+    await sleep(250);
+  }
+}
+
+async function matchFrame(tabId, frame) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  let urlMatch = null;
+
+  for (const info of frames) {
+    if (info.frameId === 0) continue;
+
+    if (frame.path?.length) {
+      try {
+        await ensureContentScript(tabId, info.frameId);
+        const details = await chrome.tabs.sendMessage(tabId, { type: 'GET_FRAME_INFO' }, { frameId: info.frameId });
+        if (details?.path && details.path.join('\n') === frame.path.join('\n')) {
+          return info.frameId;
+        }
+      } catch (e) {
+        // Frame we can't script (e.g. a browser page); only its URL can match
+      }
+    }
+
+    if (urlMatch === null && isSameFrameUrl(info.url, frame.url)) {
+      urlMatch = info.frameId;
+    }
+  }
+
+  return urlMatch;
+}
+
+function isSameFrameUrl(a, b) {
+  try {
+    const urlA = new URL(a);
+    const urlB = new URL(b);
+    return urlA.origin === urlB.origin && urlA.pathname === urlB.pathname;
+  } catch (e) {
+    return false;
+  }
+}
+
+// ============================================================================
+// Variables
+// ============================================================================
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Generated once per run, so every step in a run sees the same value
+const BUILTIN_VARIABLES = {
+  timestamp: () => String(Date.now()),
+  uuid: () => crypto.randomUUID(),
+  randomEmail: () => `wave-${Date.now()}-${generateId()}@example.com`
+};
+
+function createRunContext(workflow, overrides = {}, secrets = {}) {
+  return {
+    variables: { ...(workflow.variables || {}), ...(overrides || {}) },
+    generated: {},
+    secrets,
+    extracted: [] // { name, value, iteration } read by extract steps
+  };
+}
+
+function resolveStep(step, context) {
+  if (!context) return step;
+
+  const resolved = { ...step };
+  for (const field of ['value', 'selector', 'target']) {
+    // A call's variables are resolved one by one, so a value may span lines
+    if (field === 'value' && resolved.type === 'callWorkflow') continue;
+    if (typeof resolved[field] === 'string') {
+      resolved[field] = resolveTemplate(resolved[field], context);
+    }
+  }
+
+  // Secret values are only looked up here, at playback time
+  if (resolved.secret) {
+    if (!Object.prototype.hasOwnProperty.call(context.secrets, resolved.secret)) {
+      throw new Error(`Missing secret "${resolved.secret}". Set it in the step editor.`);
+    }
+    resolved.value = context.secrets[resolved.secret];
+  }
+
+  // Upload steps take their files' contents along to the page
+  if (resolved.type === 'upload') {
+    resolved.files = resolveUploadFiles(resolved.files, context);
+  }
+
+  return resolved;
+}
+
+// Stored files -> { name, type, data } (base64); templates -> { name, type, text }
+function resolveUploadFiles(files, context) {
+  if (!files?.length) {
+    throw new Error('Upload step has no files');
+  }
+
+  return files.map(file => {
+    const name = resolveTemplate(file.name || 'file', context);
+
+    if (typeof file.content === 'string') {
+      return { name, type: file.type || 'text/plain', text: resolveTemplate(file.content, context) };
+    }
+
+    const stored = context.files?.[file.fileId];
+    if (!stored) {
+      throw new Error(`File "${file.name}" isn't stored with this workflow. Attach it in the step editor.`);
+    }
+    return { name, type: file.type || stored.type, data: stored.data };
+  });
+}
+
+function resolveTemplate(text, context) {
+  return text.replace(VARIABLE_PATTERN, (match, name) => {
+    if (Object.prototype.hasOwnProperty.call(context.variables, name)) {
+      return String(context.variables[name] ?? '');
+    }
+
+    if (BUILTIN_VARIABLES[name]) {
+      if (!(name in context.generated)) {
+        context.generated[name] = BUILTIN_VARIABLES[name]();
+      }
+      return context.generated[name];
+    }
+
+    throw new Error(`Unknown variable: ${match}`);
+  });
+}
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+async function getWorkflows() {
+  const result = await chrome.storage.local.get('workflows');
+  return result.workflows || [];
 }
 
 async function saveWorkflow(workflow) {
@@ -408,6 +2004,185 @@ async function deleteWorkflow(id) {
   const workflows = await getWorkflows();
   const filtered = workflows.filter(w => w.id !== id);
   await chrome.storage.local.set({ workflows: filtered });
+  await deleteSecrets(id);
+  await deleteWorkflowFiles(id);
+  await deleteDataset(id);
+  await clearRuns(id);
+  return { success: true };
+}
+
+// Secrets live under their own key so exports (which only read workflows)
+// never include them: { [workflowId]: { [name]: value } }
+async function getSecrets() {
+  const result = await chrome.storage.local.get('secrets');
+  return result.secrets || {};
+}
+
+async function getWorkflowSecrets(workflowId) {
+  const secrets = await getSecrets();
+  return secrets[workflowId] || {};
+}
+
+async function getSecretNames(workflowId) {
+  return Object.keys(await getWorkflowSecrets(workflowId));
+}
+
+async function saveSecrets(workflowId, values) {
+  const secrets = await getSecrets();
+  const workflowSecrets = { ...(secrets[workflowId] || {}) };
+
+  for (const [name, value] of Object.entries(values || {})) {
+    if (value === null) {
+      delete workflowSecrets[name];
+    } else {
+      workflowSecrets[name] = value;
+    }
+  }
+
+  if (Object.keys(workflowSecrets).length > 0) {
+    secrets[workflowId] = workflowSecrets;
+  } else {
+    delete secrets[workflowId];
+  }
+
+  await chrome.storage.local.set({ secrets });
+  return { success: true };
+}
+
+async function deleteSecrets(workflowId) {
+  const secrets = await getSecrets();
+  delete secrets[workflowId];
+  await chrome.storage.local.set({ secrets });
+}
+
+// Files for upload steps are stored per workflow, apart from its steps:
+// files-<workflowId> -> { [fileId]: { name, type, size, data } }, data in base64
+function getFilesKey(workflowId) {
+  return `files-${workflowId}`;
+}
+
+async function getWorkflowFiles(workflowId) {
+  const key = getFilesKey(workflowId);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || {};
+}
+
+async function saveWorkflowFiles(workflowId, files) {
+  const entries = Object.entries(files || {});
+  if (entries.length === 0) return { success: true };
+
+  const stored = await getWorkflowFiles(workflowId);
+  for (const [fileId, file] of entries) {
+    if (file === null) {
+      delete stored[fileId];
+    } else {
+      stored[fileId] = file;
+    }
+  }
+
+  if (Object.keys(stored).length > 0) {
+    await chrome.storage.local.set({ [getFilesKey(workflowId)]: stored });
+  } else {
+    await chrome.storage.local.remove(getFilesKey(workflowId));
+  }
+  return { success: true };
+}
+
+async function deleteWorkflowFiles(workflowId) {
+  await chrome.storage.local.remove(getFilesKey(workflowId));
+}
+
+// A workflow's dataset, with the results of the last run over it:
+// dataset-<workflowId> -> { name, headers, columns, rows, lastRun }. Rows map
+// columns (variable names) to values; the workflow keeps a summary for the list
+const MAX_DATASET_ROWS = 1000;
+
+function getDatasetKey(workflowId) {
+  return `dataset-${workflowId}`;
+}
+
+async function getDataset(workflowId) {
+  const key = getDatasetKey(workflowId);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || null;
+}
+
+// null removes the dataset
+async function saveDataset(workflowId, dataset) {
+  const workflows = await getWorkflows();
+  const workflow = workflows.find(w => w.id === workflowId);
+  if (!workflow) {
+    throw new Error('Workflow not found');
+  }
+
+  if (dataset) {
+    const { name, headers, columns, rows } = dataset;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('Dataset has no rows');
+    }
+    if (rows.length > MAX_DATASET_ROWS) {
+      throw new Error(`Datasets are limited to ${MAX_DATASET_ROWS} rows`);
+    }
+    const invalid = (columns || []).find(column => !/^\w+$/.test(column));
+    if (!columns?.length || invalid !== undefined) {
+      throw new Error(invalid !== undefined ? `Invalid column name "${invalid}"` : 'Dataset has no columns');
+    }
+
+    await chrome.storage.local.set({ [getDatasetKey(workflowId)]: { name, headers: headers || columns, columns, rows, lastRun: null } });
+    workflow.dataset = { name, columns, rowCount: rows.length };
+  } else {
+    await deleteDataset(workflowId);
+    delete workflow.dataset;
+  }
+
+  await chrome.storage.local.set({ workflows });
+  return { success: true, workflow };
+}
+
+async function deleteDataset(workflowId) {
+  await chrome.storage.local.remove(getDatasetKey(workflowId));
+}
+
+// ============================================================================
+// Run History
+// ============================================================================
+
+// Keep history bounded: newest runs first, capped per workflow and by age
+const MAX_RUNS_PER_WORKFLOW = 50;
+const RUN_RETENTION_DAYS = 30;
+// Screenshots and DOM snapshots are large, so only the latest failures keep them
+const MAX_FAILURE_ARTIFACTS = 5;
+
+function getRunsKey(workflowId) {
+  return `runs-${workflowId}`;
+}
+
+async function getRuns(workflowId) {
+  const key = getRunsKey(workflowId);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || [];
+}
+
+async function saveRun(run) {
+  const cutoff = Date.now() - RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const runs = [run, ...await getRuns(run.workflowId)]
+    .filter(r => new Date(r.startedAt).getTime() >= cutoff)
+    .slice(0, MAX_RUNS_PER_WORKFLOW);
+
+  let artifactCount = 0;
+  for (const r of runs) {
+    if (!r.failure?.screenshot && !r.failure?.dom) continue;
+    if (++artifactCount > MAX_FAILURE_ARTIFACTS) {
+      r.failure = { ...r.failure, screenshot: null, dom: null };
+    }
+  }
+
+  await chrome.storage.local.set({ [getRunsKey(run.workflowId)]: runs });
+  return { success: true };
+}
+
+async function clearRuns(workflowId) {
+  await chrome.storage.local.remove(getRunsKey(workflowId));
   return { success: true };
 }
 
@@ -519,7 +2294,7 @@ async function scheduleWorkflow(workflowId, intervalMinutes) {
   return { success: true, scheduled: true, intervalMinutes };
 }
 
-async function runHealthCheck(workflowId) {
+async function runHealthCheck(workflowId, trigger) {
   console.log('[Wave Background] Running health check for:', workflowId);
 
   const workflows = await getWorkflows();
@@ -535,11 +2310,10 @@ async function runHealthCheck(workflowId) {
   try {
     tab = await chrome.tabs.create({ active: false, url: 'about:blank' });
 
-    // Execute each step
-    for (let i = 0; i < workflow.steps.length; i++) {
-      const step = workflow.steps[i];
-      await executeStep(tab.id, step);
-      await sleep(300);
+    // Scheduled runs use the workflow's default variable values
+    const run = await runWorkflow(workflow, tab.id, { trigger, closeSpawnedTabs: true });
+    if (run.status !== 'success') {
+      throw new Error(run.error);
     }
 
     // Update schedule status
@@ -596,7 +2370,7 @@ async function runHealthCheck(workflowId) {
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name.startsWith('wave-healthcheck-')) {
     const workflowId = alarm.name.replace('wave-healthcheck-', '');
-    await runHealthCheck(workflowId);
+    await runHealthCheck(workflowId, 'scheduled');
   }
 });
 
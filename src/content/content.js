@@ -10,6 +10,26 @@
 let isRecording = false;
 let shadowObserver = null;
 let attachedShadowRoots = new WeakSet();
+const isTopFrame = window === window.top;
+let framePath = isTopFrame ? [] : null; // selectors of the iframes leading to this frame
+let pendingFramePathReplies = [];
+let framePathRequest = null; // in-flight lookup of this frame's path, shared by everyone waiting on it
+let handledEvents = new WeakSet(); // events already seen by another of our listeners
+let lastStepAt = 0; // when the previous step was recorded
+let hoverHistory = []; // recent { element, startedAt } mouseovers, newest last
+let domChanges = new WeakMap(); // element -> when it was added or its visibility changed
+let domChangeObserver = null;
+let recordedHoverChange = 0; // change time the last hover step was recorded for
+let pointerDownInfo = null; // { element, x, y } while the primary button is down
+let dragSource = null; // element of an HTML5 drag in progress
+let suppressClickUntil = 0; // the click that ends a drag isn't a click step
+let keyClickUntil = 0; // the click an Enter key press fires is part of the key step
+let scrollTimers = new Map(); // scrolled element (or window) -> debounce timeout
+let elementScope = null; // { selector, index, parent } of the forEach element the current step runs on
+let stepCancelled = false; // set when playback is stopped mid-step, ends the step's waits
+let debugOverlay = null; // { host, box, element, reposition } while playback is paused on a step here
+let recordingToolbar = null; // { host, root, bar, status } of the in-page recording toolbar
+let pickMode = null; // 'assert' or 'wait' while the toolbar turns the next click into that step
 
 // ============================================================================
 // Message Handling
@@ -25,7 +45,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         break;
 
       case 'RECORDING_STARTED':
-        startRecording();
+        startRecording(message.status);
+        sendResponse({ success: true });
+        break;
+
+      case 'RECORDING_UPDATED':
+        updateRecordingToolbar(message.status);
+        sendResponse({ success: true });
+        break;
+
+      case 'SET_PICK_MODE':
+        setPickMode(isRecording ? message.mode : null);
         sendResponse({ success: true });
         break;
 
@@ -36,13 +66,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
       case 'EXECUTE_STEP':
         executeStep(message.step)
-          .then(() => sendResponse({ success: true }))
+          .then(result => sendResponse({ success: true, ...result }))
           .catch(err => {
             console.error('[Wave Content] Step execution failed:', err);
             sendResponse({ success: false, error: err.message || 'Unknown error' });
           });
         return true; // Async response
 
+      case 'CANCEL_STEP':
+        stepCancelled = true;
+        sendResponse({ success: true });
+        break;
+
+      case 'SHOW_DEBUG_OVERLAY':
+        showDebugOverlay(message.step, message.title);
+        sendResponse({ success: true });
+        break;
+
+      case 'HIDE_DEBUG_OVERLAY':
+        hideDebugOverlay();
+        sendResponse({ success: true });
+        break;
+
+      case 'WAIT_FOR_DOM_STABLE':
+        waitForDomStable(message.quietMs, message.timeout)
+          .then(stable => sendResponse({ success: true, stable }));
+        return true;
+
+      case 'GET_DOM_SNAPSHOT':
+        sendResponse({ success: true, html: getDomSnapshot() });
+        break;
+
+      case 'GET_FRAME_INFO':
+        // Frames only look up their path once something needs it
+        ensureFramePath().then(path => sendResponse({
+          success: true,
+          url: window.location.href,
+          path
+        }));
+        return true;
+
       case 'GET_PAGE_INFO':
         sendResponse({
           success: true,
@@ -64,26 +127,83 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Recording
 // ============================================================================
 
-function startRecording() {
-  if (isRecording) return;
+// Recorded events, listened to in the capture phase on the window, the
+// document and every open shadow root
+const RECORDING_LISTENERS = {
+  click: handleClick,
+  dblclick: handleDoubleClick,
+  contextmenu: handleContextMenu,
+  input: handleInput,
+  change: handleChange,
+  keydown: handleKeyDown,
+  mouseover: handleMouseOver,
+  pointerdown: handlePointerDown,
+  pointerup: handlePointerUp,
+  mousedown: handlePickPress,
+  mouseup: handlePickPress,
+  dragstart: handleDragStart,
+  drop: handleDrop,
+  scroll: handleScroll
+};
+
+// Wave's own elements on the page, which are never recorded
+const WAVE_UI_SELECTOR = '#wave-recording-toolbar, #wave-debug-overlay';
+
+// Events from inside a closed shadow root arrive retargeted to its host
+function isWaveUiEvent(event) {
+  const target = event.composedPath?.()[0] || event.target;
+  return target?.nodeType === Node.ELEMENT_NODE && !!target.closest(WAVE_UI_SELECTOR);
+}
+
+const recordingListeners = Object.fromEntries(Object.entries(RECORDING_LISTENERS).map(([type, handler]) =>
+  [type, event => { if (!isWaveUiEvent(event)) handler(event); }]
+));
+
+function addRecordingListeners(target) {
+  for (const [type, listener] of Object.entries(recordingListeners)) {
+    target.addEventListener(type, listener, true);
+  }
+}
+
+function removeRecordingListeners(target) {
+  for (const [type, listener] of Object.entries(recordingListeners)) {
+    target.removeEventListener(type, listener, true);
+  }
+}
+
+function startRecording(status) {
+  if (isRecording) {
+    updateRecordingToolbar(status);
+    return;
+  }
 
   isRecording = true;
 
   // Use window-level listener with capture to catch events before any framework
-  window.addEventListener('click', handleClick, true);
-  window.addEventListener('input', handleInput, true);
-  window.addEventListener('change', handleChange, true);
+  addRecordingListeners(window);
 
   // Also add listeners to document for backup
-  document.addEventListener('click', handleClick, true);
-  document.addEventListener('input', handleInput, true);
-  document.addEventListener('change', handleChange, true);
+  addRecordingListeners(document);
 
   // Observe and attach to Shadow DOMs (for YouTube, etc.)
   observeShadowRoots();
 
-  // Visual indicator
-  showRecordingIndicator();
+  // Note when elements appear, to tell which clicks needed a hover first
+  domChangeObserver = new MutationObserver(trackDomChanges);
+  domChangeObserver.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['class', 'style', 'hidden', 'open', 'aria-hidden', 'aria-expanded']
+  });
+
+  // Toolbar (once per tab, not in every iframe). Iframes need their path
+  // for the steps they record
+  if (isTopFrame) {
+    showRecordingToolbar(status);
+  } else {
+    ensureFramePath();
+  }
 
   console.log('[Wave Content] Recording started');
 }
@@ -93,15 +213,9 @@ function stopRecording() {
 
   isRecording = false;
 
-  // Remove window listeners
-  window.removeEventListener('click', handleClick, true);
-  window.removeEventListener('input', handleInput, true);
-  window.removeEventListener('change', handleChange, true);
-
-  // Remove document listeners
-  document.removeEventListener('click', handleClick, true);
-  document.removeEventListener('input', handleInput, true);
-  document.removeEventListener('change', handleChange, true);
+  // Remove window and document listeners
+  removeRecordingListeners(window);
+  removeRecordingListeners(document);
 
   // Stop shadow DOM observer
   if (shadowObserver) {
@@ -109,8 +223,15 @@ function stopRecording() {
     shadowObserver = null;
   }
 
-  // Remove visual indicator
-  hideRecordingIndicator();
+  if (domChangeObserver) {
+    domChangeObserver.disconnect();
+    domChangeObserver = null;
+  }
+  hoverHistory = [];
+  scrollTimers.forEach(timeout => clearTimeout(timeout));
+  scrollTimers.clear();
+
+  hideRecordingToolbar();
 
   console.log('[Wave Content] Recording stopped');
 }
@@ -146,9 +267,7 @@ function attachToShadowRoots(root) {
   // Check if this element has a shadow root
   if (root.shadowRoot && !attachedShadowRoots.has(root.shadowRoot)) {
     attachedShadowRoots.add(root.shadowRoot);
-    root.shadowRoot.addEventListener('click', handleClick, true);
-    root.shadowRoot.addEventListener('input', handleInput, true);
-    root.shadowRoot.addEventListener('change', handleChange, true);
+    addRecordingListeners(root.shadowRoot);
     console.log('[Wave Content] Attached to shadow root:', root.tagName);
 
     // Recursively check inside shadow root
@@ -160,9 +279,7 @@ function attachToShadowRoots(root) {
   for (const el of elements) {
     if (el.shadowRoot && !attachedShadowRoots.has(el.shadowRoot)) {
       attachedShadowRoots.add(el.shadowRoot);
-      el.shadowRoot.addEventListener('click', handleClick, true);
-      el.shadowRoot.addEventListener('input', handleInput, true);
-      el.shadowRoot.addEventListener('change', handleChange, true);
+      addRecordingListeners(el.shadowRoot);
       console.log('[Wave Content] Attached to shadow root:', el.tagName);
 
       // Recursively check inside shadow root
@@ -178,10 +295,37 @@ function attachToShadowRoots(root) {
 function handleClick(event) {
   if (!isRecording) return;
 
-  let target = event.target;
+  let target = getEventTarget(event);
+  if (!target) return;
 
   // Skip Wave's own UI elements
-  if (target.closest('#wave-recording-indicator')) return;
+  if (target.closest(WAVE_UI_SELECTOR)) return;
+
+  // The click that ends a pointer drag was recorded as the drag
+  if (Date.now() < suppressClickUntil) return;
+
+  // Enter on a button or form field fires a click without a pointer
+  // (detail 0), and replaying the key step clicks or submits again
+  if (event.detail === 0 && Date.now() < keyClickUntil) return;
+
+  // Assert and Wait on the toolbar turn the next click into that step
+  if (pickMode) {
+    event.preventDefault();
+    event.stopPropagation();
+    recordPickedStep(target);
+    return;
+  }
+
+  // Opening the file picker can't be replayed; the chosen files become an upload step
+  if (isFileInput(target) || isFileInput(target.closest('label')?.control)) return;
+
+  // Alt+click records an assertion about the element instead of a click
+  if (event.altKey) {
+    event.preventDefault();
+    event.stopPropagation();
+    recordAssertion(target);
+    return;
+  }
 
   // Find the actual clickable element (button, link) instead of inner spans/divs
   target = getClickableElement(target);
@@ -189,6 +333,8 @@ function handleClick(event) {
   const selector = generateSelector(target);
   if (!selector) return;
 
+  recordHoverIfNeeded(target);
+
   const step = {
     type: 'click',
     selector,
@@ -197,10 +343,61 @@ function handleClick(event) {
     text: target.textContent?.trim().substring(0, 50) || null
   };
 
-  sendStep(step);
+  sendStep(step, target);
   console.log('[Wave Content] Click recorded:', selector);
 }
 
+function recordAssertion(target) {
+  const selector = generateSelector(target);
+  if (!selector) return;
+
+  recordHoverIfNeeded(target);
+
+  const step = {
+    type: 'assert',
+    selector,
+    tagName: target.tagName.toLowerCase()
+  };
+
+  // Pick the most useful check for the kind of element. Text is read the
+  // way playback reads it, as rendered, so hidden or restyled text matches
+  const text = getElementText(target);
+  if ((isInputElement(target) && !target.isContentEditable) || target.tagName === 'SELECT') {
+    step.assertion = 'valueEquals';
+    step.value = target.value;
+    // Checked against the same secret the field's input step stores
+    if (isSecretField(target)) {
+      step.secret = getSecretHint(target);
+    }
+  } else if (text) {
+    step.assertion = 'textContains';
+    step.value = text.substring(0, 100);
+  } else {
+    step.assertion = 'exists';
+    step.value = null;
+  }
+
+  highlightElement(target);
+  sendStep(step, target);
+  console.log('[Wave Content] Assertion recorded:', step.assertion, selector);
+}
+
+function recordWait(target) {
+  const selector = generateSelector(target);
+  if (!selector) return;
+
+  const step = {
+    type: 'waitFor',
+    condition: 'visible',
+    selector,
+    tagName: target.tagName.toLowerCase()
+  };
+
+  highlightElement(target);
+  sendStep(step, target);
+  console.log('[Wave Content] Wait recorded:', selector);
+}
+
 function getClickableElement(element) {
   // If already a clickable element, return it
   const clickableTags = ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
@@ -247,35 +444,279 @@ function getClickableElement(element) {
   return element;
 }
 
+function handleDoubleClick(event) {
+  if (!isRecording) return;
+
+  const element = getEventTarget(event);
+  if (!element || element.closest(WAVE_UI_SELECTOR)) return;
+
+  const target = getClickableElement(element);
+  const selector = generateSelector(target);
+  if (!selector) return;
+
+  // The two clicks before the double-click are dropped by the background
+  sendStep({
+    type: 'dblclick',
+    selector,
+    value: null,
+    tagName: target.tagName.toLowerCase(),
+    text: target.textContent?.trim().substring(0, 50) || null
+  }, target);
+  console.log('[Wave Content] Double-click recorded:', selector);
+}
+
+function handleContextMenu(event) {
+  if (!isRecording) return;
+
+  const element = getEventTarget(event);
+  if (!element || element.closest(WAVE_UI_SELECTOR)) return;
+
+  const target = getClickableElement(element);
+  const selector = generateSelector(target);
+  if (!selector) return;
+
+  recordHoverIfNeeded(target);
+
+  sendStep({
+    type: 'contextmenu',
+    selector,
+    value: null,
+    tagName: target.tagName.toLowerCase(),
+    text: target.textContent?.trim().substring(0, 50) || null
+  }, target);
+  console.log('[Wave Content] Right-click recorded:', selector);
+}
+
+function handleMouseOver(event) {
+  if (!isRecording) return;
+
+  const target = getEventTarget(event);
+  if (!target || target === document.body || target === document.documentElement) return;
+
+  hoverHistory.push({ element: target, startedAt: Date.now() });
+  if (hoverHistory.length > 20) {
+    hoverHistory.shift();
+  }
+}
+
+function trackDomChanges(mutations) {
+  const now = Date.now();
+  for (const mutation of mutations) {
+    if (mutation.type === 'childList') {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) domChanges.set(node, now);
+      });
+    } else if (mutation.target !== document.body && mutation.target !== document.documentElement) {
+      domChanges.set(mutation.target, now);
+    }
+  }
+}
+
+// How soon after the pointer arrives a change still counts as caused by the hover
+const HOVER_EFFECT_MS = 1500;
+
+// Menus that open on hover: when the element being clicked (or one of its
+// ancestors) appeared right after the pointer came to rest somewhere, and
+// not because of an earlier step, record a hover over that spot first
+function recordHoverIfNeeded(target) {
+  const changedAt = getLastChangeTime(target);
+  if (!changedAt || changedAt <= lastStepAt || changedAt === recordedHoverChange) return;
+
+  const hover = [...hoverHistory].reverse().find(entry => entry.startedAt <= changedAt);
+  if (!hover || changedAt - hover.startedAt > HOVER_EFFECT_MS || !hover.element.isConnected) return;
+
+  const element = getClickableElement(hover.element);
+  if (element === target) return;
+
+  const selector = generateSelector(element);
+  if (!selector) return;
+
+  recordedHoverChange = changedAt;
+  sendStep({
+    type: 'hover',
+    selector,
+    value: null,
+    tagName: element.tagName.toLowerCase(),
+    text: element.textContent?.trim().substring(0, 50) || null
+  }, element);
+  console.log('[Wave Content] Hover recorded:', selector);
+}
+
+function getLastChangeTime(element) {
+  let latest = 0;
+  // Walk up through shadow hosts too
+  for (let node = element; node; node = node.parentElement || node.getRootNode().host) {
+    latest = Math.max(latest, domChanges.get(node) || 0);
+  }
+  return latest;
+}
+
+// Pointer moves shorter than this are clicks, not drags
+const DRAG_THRESHOLD_PX = 10;
+
+// While picking an element, the page never sees the press, so menus and
+// buttons that act on mousedown stay put until the click is recorded
+function handlePickPress(event) {
+  if (!isRecording || !pickMode) return false;
+  event.preventDefault();
+  event.stopPropagation();
+  return true;
+}
+
+function handlePointerDown(event) {
+  if (!isRecording || handlePickPress(event) || event.button !== 0) return;
+
+  const target = getEventTarget(event);
+  if (!target) return;
+
+  pointerDownInfo = { element: target, x: event.clientX, y: event.clientY };
+}
+
+// Drags done with pointer events (most sortable lists and kanban boards)
+function handlePointerUp(event) {
+  if (!isRecording || handlePickPress(event) || !pointerDownInfo) return;
+
+  const start = pointerDownInfo;
+  pointerDownInfo = null;
+
+  if (Math.hypot(event.clientX - start.x, event.clientY - start.y) < DRAG_THRESHOLD_PX) return;
+  // Selecting text isn't dragging
+  if (isInputElement(start.element) || !window.getSelection()?.isCollapsed) return;
+
+  const source = start.element.closest('[draggable="true"]') || start.element;
+  // The dragged element usually follows the pointer, so look underneath it
+  const dropTarget = document.elementsFromPoint(event.clientX, event.clientY)
+    .find(el => el !== source && !source.contains(el) && !el.closest(WAVE_UI_SELECTOR));
+  if (!dropTarget || dropTarget === document.documentElement) return;
+
+  recordDragAndDrop(source, dropTarget);
+  suppressClickUntil = Date.now() + 100;
+}
+
+// Native HTML5 drag and drop; the browser cancels the pointer events
+function handleDragStart(event) {
+  if (!isRecording) return;
+
+  const target = getEventTarget(event);
+  if (!target) return;
+
+  dragSource = target;
+  pointerDownInfo = null;
+}
+
+function handleDrop(event) {
+  if (!isRecording) return;
+
+  // Files dragged in from the desktop onto a drop zone
+  if (!dragSource) {
+    const dropTarget = getEventTarget(event);
+    // Dropping onto a file input itself fires change, which records it
+    if (dropTarget && event.dataTransfer?.files.length > 0 && !isFileInput(dropTarget)) {
+      recordUpload(dropTarget, event.dataTransfer.files);
+    }
+    return;
+  }
+
+  const dropTarget = getEventTarget(event);
+  const source = dragSource;
+  dragSource = null;
+  if (!dropTarget || dropTarget === source) return;
+
+  recordDragAndDrop(source, dropTarget);
+}
+
+function recordDragAndDrop(source, dropTarget) {
+  const selector = generateSelector(source);
+  const target = generateSelector(dropTarget);
+  if (!selector || !target) return;
+
+  sendStep({
+    type: 'dragAndDrop',
+    selector,
+    target,
+    value: null,
+    tagName: source.tagName.toLowerCase()
+  }, source);
+  console.log('[Wave Content] Drag and drop recorded:', selector, '->', target);
+}
+
+function handleScroll(event) {
+  if (!isRecording) return;
+
+  // Page scrolls target the document; anything else is a scrollable element
+  const scroller = [document, document.documentElement, document.body].includes(event.target)
+    ? null
+    : event.composedPath?.()[0] || event.target;
+  if (scroller && scroller.nodeType !== Node.ELEMENT_NODE) return;
+
+  // One step per scroll gesture, with its final position
+  const key = scroller || window;
+  clearTimeout(scrollTimers.get(key));
+  scrollTimers.set(key, setTimeout(() => {
+    scrollTimers.delete(key);
+    recordScroll(scroller);
+  }, 500));
+}
+
+function recordScroll(scroller) {
+  const x = Math.round(scroller ? scroller.scrollLeft : window.scrollX);
+  const y = Math.round(scroller ? scroller.scrollTop : window.scrollY);
+  const selector = scroller ? generateSelector(scroller) : null;
+  if (scroller && !selector) return;
+
+  sendStep({
+    type: 'scroll',
+    selector,
+    value: `${x},${y}`,
+    tagName: scroller ? scroller.tagName.toLowerCase() : null
+  }, scroller);
+  console.log('[Wave Content] Scroll recorded:', selector || 'page', x, y);
+}
+
 function handleInput(event) {
   if (!isRecording) return;
 
-  const target = event.target;
-  if (!isInputElement(target)) return;
+  const target = getEventTarget(event);
+  if (!target || !isInputElement(target) || isFileInput(target)) return;
 
   // Debounce input events
   clearTimeout(target._waveInputTimeout);
-  target._waveInputTimeout = setTimeout(() => {
-    const selector = generateSelector(target);
-    if (!selector) return;
+  target._waveInputTimeout = setTimeout(() => recordInput(target), 500);
+}
 
-    const step = {
-      type: 'input',
-      selector,
-      value: target.value,
-      tagName: target.tagName.toLowerCase(),
-      inputType: target.type || 'text'
-    };
+function recordInput(target) {
+  target._waveInputTimeout = null;
 
-    sendStep(step);
-    console.log('[Wave Content] Input recorded:', selector);
-  }, 500);
+  const selector = generateSelector(target);
+  if (!selector) return;
+
+  const step = {
+    type: 'input',
+    selector,
+    value: target.value,
+    tagName: target.tagName.toLowerCase(),
+    inputType: target.type || 'text'
+  };
+
+  // Flag sensitive fields; the background moves the value to the secrets store
+  if (isSecretField(target)) {
+    step.secret = getSecretHint(target);
+  }
+
+  sendStep(step, target);
+  console.log('[Wave Content] Input recorded:', selector);
 }
 
 function handleChange(event) {
   if (!isRecording) return;
 
-  const target = event.target;
+  const target = getEventTarget(event);
+  if (!target) return;
+
+  if (isFileInput(target)) {
+    recordUpload(target, target.files);
+    return;
+  }
 
   // Handle select elements
   if (target.tagName === 'SELECT') {
@@ -289,21 +730,189 @@ function handleChange(event) {
       tagName: 'select'
     };
 
-    sendStep(step);
+    sendStep(step, target);
     console.log('[Wave Content] Select recorded:', selector);
   }
 }
 
+// Larger files are recorded by name only and have to be attached in the step editor
+const MAX_UPLOAD_FILE_SIZE = 5 * 1024 * 1024;
+
+async function recordUpload(target, fileList) {
+  if (!fileList || fileList.length === 0) return;
+
+  // Take the selector before reading, the page may react to the new files
+  const selector = generateSelector(target);
+  if (!selector) return;
+
+  const files = await Promise.all(Array.from(fileList).map(readRecordedFile));
+  const step = {
+    type: 'upload',
+    selector,
+    value: null,
+    tagName: target.tagName.toLowerCase(),
+    files
+  };
+
+  sendStep(step, target);
+  console.log('[Wave Content] Upload recorded:', selector, files.map(file => file.name));
+}
+
+// { name, type, size, data } with the contents as base64; the background
+// moves the contents out of the step into the workflow's file store
+async function readRecordedFile(file) {
+  const entry = { name: file.name, type: file.type, size: file.size };
+  if (file.size > MAX_UPLOAD_FILE_SIZE) {
+    console.warn('[Wave Content] File too large to store, recording its name only:', file.name);
+    return entry;
+  }
+
+  try {
+    entry.data = await readFileAsBase64(file);
+  } catch (err) {
+    console.warn('[Wave Content] Could not read file:', file.name, err);
+  }
+  return entry;
+}
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Keys recorded on their own; printable characters are captured as input instead
+const RECORDED_KEYS = [
+  'Enter', 'Escape', 'Tab', 'Backspace', 'Delete',
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+  'Home', 'End', 'PageUp', 'PageDown',
+  'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
+];
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta'];
+// Editing shortcuts inside text fields, already covered by the input step
+const TEXT_EDITING_SHORTCUTS = ['a', 'c', 'v', 'x', 'y', 'z'];
+
+function handleKeyDown(event) {
+  // Escape cancels picking without closing the page's dialogs and menus
+  if (event.key === 'Escape' && handlePickPress(event)) {
+    sharePickMode(null);
+    return;
+  }
+
+  if (!isRecording || event.repeat || MODIFIER_KEYS.includes(event.key)) return;
+
+  const target = getEventTarget(event);
+  if (!target || target.closest(WAVE_UI_SELECTOR)) return;
+
+  const combo = getKeyCombo(event);
+  if (!combo) return;
+
+  // Whatever was typed before the key press has to come first
+  if (target._waveInputTimeout) {
+    clearTimeout(target._waveInputTimeout);
+    recordInput(target);
+  }
+
+  // Focus on the page itself (no particular element) replays on the active element
+  const onPage = target === document.body || target === document.documentElement;
+  const step = {
+    type: 'keydown',
+    selector: onPage ? null : generateSelector(target),
+    value: combo,
+    tagName: target.tagName.toLowerCase()
+  };
+
+  if (combo === 'Enter') {
+    keyClickUntil = Date.now() + 100;
+  }
+
+  sendStep(step, onPage ? null : target);
+  console.log('[Wave Content] Key recorded:', combo, step.selector);
+}
+
+// "Control+Shift+K" style name for a key press worth recording, or null
+function getKeyCombo(event) {
+  const key = event.key === ' ' ? 'Space' : event.key;
+  const hasShortcutModifier = event.ctrlKey || event.metaKey || event.altKey;
+  const target = event.composedPath?.()[0] || event.target;
+  const isTextField = isInputElement(target) && !['checkbox', 'radio', 'button', 'submit'].includes(target.type);
+
+  if (!hasShortcutModifier) {
+    if (!RECORDED_KEYS.includes(key)) return null;
+    // Typing keys inside a text field are part of its value
+    if (isTextField && ['Backspace', 'Delete', 'Home', 'End', 'ArrowLeft', 'ArrowRight'].includes(key)) return null;
+    // Enter in a textarea or rich text editor adds a line break
+    if (key === 'Enter' && (target.tagName === 'TEXTAREA' || target.isContentEditable)) return null;
+  } else if (isTextField && (event.ctrlKey || event.metaKey) && TEXT_EDITING_SHORTCUTS.includes(key.toLowerCase())) {
+    return null;
+  } else if (isTextField && event.altKey && !event.ctrlKey && !event.metaKey && key.length === 1) {
+    // Option+letter types accented characters on macOS
+    return null;
+  }
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('Control');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+  if (event.metaKey) modifiers.push('Meta');
+
+  return [...modifiers, key.length === 1 ? key.toUpperCase() : key].join('+');
+}
+
+// The window, document and shadow root listeners all see the same event, and
+// event.target is retargeted to the shadow host outside a shadow root, so
+// take the real target from the composed path once and ignore repeats
+function getEventTarget(event) {
+  if (handledEvents.has(event)) return null;
+  handledEvents.add(event);
+
+  const target = event.composedPath?.()[0] || event.target;
+  return target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+}
+
+// Autocomplete tokens for values that shouldn't be stored in plain text
+const SECRET_AUTOCOMPLETE = ['current-password', 'new-password', 'one-time-code', 'cc-number', 'cc-csc'];
+
+function isSecretField(el) {
+  if (el.type === 'password') return true;
+  // Pages (or users, via devtools) can opt fields in explicitly
+  if (el.hasAttribute('data-wave-secret')) return true;
+  const autocomplete = (el.getAttribute('autocomplete') || '').toLowerCase();
+  return SECRET_AUTOCOMPLETE.some(token => autocomplete.includes(token));
+}
+
+// Name hint for a sensitive field's secret; the background makes it unique
+function getSecretHint(el) {
+  return el.name || el.id || el.getAttribute('autocomplete') || el.type || 'text';
+}
+
 function isInputElement(el) {
   const tag = el.tagName;
   return tag === 'INPUT' || tag === 'TEXTAREA' || el.isContentEditable;
 }
 
+function isFileInput(el) {
+  return el?.tagName === 'INPUT' && el.type === 'file';
+}
+
 // ============================================================================
 // Selector Generation
 // ============================================================================
 
 function generateSelector(element) {
+  // Inside an open shadow root, name the chain of hosts: host >>> inner
+  const root = element.getRootNode();
+  if (root instanceof ShadowRoot) {
+    return `${generateSelector(root.host)} >>> ${generateScopedSelector(element, root)}`;
+  }
+  return generateScopedSelector(element, document);
+}
+
+// Selector for an element, unique within its document or shadow root
+function generateScopedSelector(element, root) {
   // Priority 1: ID (if unique and stable-looking)
   if (element.id && isStableId(element.id)) {
     return `#${CSS.escape(element.id)}`;
@@ -332,14 +941,14 @@ function generateSelector(element) {
     // Only use href if it's not just "#" or "javascript:"
     if (href && href !== '#' && !href.startsWith('javascript:')) {
       const selector = `a[href="${CSS.escape(href)}"]`;
-      if (document.querySelectorAll(selector).length === 1) {
+      if (root.querySelectorAll(selector).length === 1) {
         return selector;
       }
       // Try with partial href match for dynamic URLs
       const pathname = new URL(href, window.location.origin).pathname;
       if (pathname && pathname !== '/') {
         const partialSelector = `a[href*="${CSS.escape(pathname)}"]`;
-        if (document.querySelectorAll(partialSelector).length === 1) {
+        if (root.querySelectorAll(partialSelector).length === 1) {
           return partialSelector;
         }
       }
@@ -352,7 +961,7 @@ function generateSelector(element) {
     if (text && text.length > 0 && text.length < 50) {
       // Try to find by text using xpath-like approach with contains
       const tag = element.tagName.toLowerCase();
-      const candidates = document.querySelectorAll(tag);
+      const candidates = root.querySelectorAll(tag);
       const matches = Array.from(candidates).filter(el => el.textContent?.trim() === text);
       if (matches.length === 1) {
         // Store text for later matching
@@ -365,7 +974,7 @@ function generateSelector(element) {
   const ariaLabel = element.getAttribute('aria-label');
   if (ariaLabel) {
     const selector = `[aria-label="${CSS.escape(ariaLabel)}"]`;
-    if (document.querySelectorAll(selector).length === 1) {
+    if (root.querySelectorAll(selector).length === 1) {
       return selector;
     }
   }
@@ -374,7 +983,7 @@ function generateSelector(element) {
   const title = element.getAttribute('title');
   if (title) {
     const selector = `[title="${CSS.escape(title)}"]`;
-    if (document.querySelectorAll(selector).length === 1) {
+    if (root.querySelectorAll(selector).length === 1) {
       return selector;
     }
   }
@@ -384,7 +993,7 @@ function generateSelector(element) {
     const classes = element.className.trim().split(/\s+/).filter(c => isStableClass(c));
     if (classes.length > 0) {
       const selector = `${element.tagName.toLowerCase()}.${classes.map(c => CSS.escape(c)).join('.')}`;
-      if (document.querySelectorAll(selector).length === 1) {
+      if (root.querySelectorAll(selector).length === 1) {
         return selector;
       }
     }
@@ -393,13 +1002,13 @@ function generateSelector(element) {
   // Priority 9: Placeholder for inputs
   if (element.tagName === 'INPUT' && element.placeholder) {
     const selector = `input[placeholder="${CSS.escape(element.placeholder)}"]`;
-    if (document.querySelectorAll(selector).length === 1) {
+    if (root.querySelectorAll(selector).length === 1) {
       return selector;
     }
   }
 
   // Priority 10: CSS path (fallback)
-  return getCssPath(element);
+  return getCssPath(element, root);
 }
 
 function isStableId(id) {
@@ -420,7 +1029,7 @@ function isStableClass(cls) {
   return true;
 }
 
-function getCssPath(element) {
+function getCssPath(element, root = document) {
   const path = [];
   let current = element;
 
@@ -440,7 +1049,7 @@ function getCssPath(element) {
       const value = current.getAttribute(attr);
       if (value) {
         const attrSelector = `${selector}[${attr}="${CSS.escape(value)}"]`;
-        if (document.querySelectorAll(attrSelector).length === 1) {
+        if (root.querySelectorAll(attrSelector).length === 1) {
           path.unshift(attrSelector);
           foundUniqueAttr = true;
           break;
@@ -489,33 +1098,256 @@ function getCssPath(element) {
 }
 
 // ============================================================================
-// Step Execution (Playback)
+// Alternative Locators & Fingerprints (self-healing)
 // ============================================================================
 
-async function executeStep(step) {
-  const element = await waitForElement(step.selector);
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-cy', 'data-id'];
+const FINGERPRINT_ATTRIBUTES = ['id', 'name', 'type', 'role', 'aria-label', 'placeholder', 'href', 'title', 'class', ...TEST_ID_ATTRIBUTES];
+
+// Every strategy that currently finds exactly this element, best first
+function generateLocators(element) {
+  const locators = [];
+  const tag = element.tagName.toLowerCase();
+
+  // Elements in a shadow root are located through their host chain
+  const root = element.getRootNode();
+  const hostPrefix = root instanceof ShadowRoot ? `${generateSelector(root.host)} >>> ` : '';
+
+  const add = (strategy, localSelector) => {
+    if (!localSelector) return;
+    const selector = hostPrefix + localSelector;
+    if (locators.some(l => l.selector === selector)) return;
+    try {
+      const matches = queryAll(selector);
+      if (matches.length === 1 && matches[0] === element) {
+        locators.push({ strategy, selector });
+      }
+    } catch (e) {
+      // Selector not valid for this page, skip it
+    }
+  };
 
-  if (!element) {
-    throw new Error(`Element not found: ${step.selector}`);
+  if (element.id && isStableId(element.id)) {
+    add('id', `#${CSS.escape(element.id)}`);
   }
 
-  switch (step.type) {
-    case 'click':
-      // Scroll into view
-      try {
-        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      } catch (e) {
-        // Some elements can't be scrolled
-      }
-      await sleep(200);
+  const testIdAttr = TEST_ID_ATTRIBUTES.find(attr => element.getAttribute(attr));
+  if (testIdAttr) {
+    add('testId', `[${testIdAttr}="${CSS.escape(element.getAttribute(testIdAttr))}"]`);
+  }
 
-      // Highlight briefly
-      highlightElement(element);
+  if (element.name && ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+    add('name', `${tag}[name="${CSS.escape(element.name)}"]`);
+  }
 
-      // Try multiple click methods for compatibility
-      try {
-        // First try native click
-        element.click();
+  const text = element.textContent?.trim();
+  if (text && text.length < 50 && !isInputElement(element)) {
+    add('text', `${tag}:text("${text.replace(/"/g, '\\"')}")`);
+  }
+
+  const ariaLabel = element.getAttribute('aria-label');
+  if (ariaLabel) {
+    add('ariaLabel', `[aria-label="${CSS.escape(ariaLabel)}"]`);
+  }
+
+  const labelText = getLabelText(element);
+  if (labelText && labelText.length < 80) {
+    add('label', `${tag}:label("${labelText.replace(/"/g, '\\"')}")`);
+  }
+
+  add('css', getCssPath(element, root));
+
+  return locators;
+}
+
+// Text of the <label> (or aria-labelledby element) describing a form control
+function getLabelText(element) {
+  const label = element.labels?.[0];
+  if (label) {
+    return label.textContent.trim().replace(/\s+/g, ' ');
+  }
+
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const labelEl = element.getRootNode().getElementById?.(labelledBy.split(/\s+/)[0]);
+    if (labelEl) return labelEl.textContent.trim().replace(/\s+/g, ' ');
+  }
+
+  return null;
+}
+
+function getFingerprint(element) {
+  const rect = element.getBoundingClientRect();
+  const attributes = {};
+  for (const attr of FINGERPRINT_ATTRIBUTES) {
+    const value = element.getAttribute(attr);
+    if (value) attributes[attr] = value.substring(0, 200);
+  }
+
+  return {
+    tag: element.tagName.toLowerCase(),
+    text: element.textContent?.trim().replace(/\s+/g, ' ').substring(0, 100) || null,
+    attributes,
+    // Page coordinates, so scrolling doesn't change them
+    rect: {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    }
+  };
+}
+
+// How closely an element resembles a recorded fingerprint, from 0 to 1
+function scoreFingerprint(element, fingerprint) {
+  const current = getFingerprint(element);
+  const parts = [];
+
+  if (fingerprint.text || current.text) {
+    parts.push({ weight: 0.4, score: textSimilarity(fingerprint.text || '', current.text || '') });
+  }
+
+  const attrNames = Object.keys(fingerprint.attributes || {});
+  if (attrNames.length > 0) {
+    const attrScore = attrNames.reduce((sum, name) => {
+      const expected = fingerprint.attributes[name];
+      const actual = current.attributes[name];
+      if (!actual) return sum;
+      if (name === 'class') return sum + textSimilarity(expected, actual);
+      return sum + (expected === actual ? 1 : 0);
+    }, 0) / attrNames.length;
+    parts.push({ weight: 0.4, score: attrScore });
+  }
+
+  if (fingerprint.rect) {
+    const dx = (fingerprint.rect.x + fingerprint.rect.width / 2) - (current.rect.x + current.rect.width / 2);
+    const dy = (fingerprint.rect.y + fingerprint.rect.height / 2) - (current.rect.y + current.rect.height / 2);
+    parts.push({ weight: 0.2, score: Math.max(0, 1 - Math.hypot(dx, dy) / 500) });
+  }
+
+  const totalWeight = parts.reduce((sum, p) => sum + p.weight, 0);
+  if (totalWeight === 0) return 0;
+  return parts.reduce((sum, p) => sum + p.weight * p.score, 0) / totalWeight;
+}
+
+// Word overlap (Jaccard), with exact matches scoring 1
+function textSimilarity(a, b) {
+  if (a === b) return 1;
+  const wordsA = new Set(a.toLowerCase().split(/\s+/).filter(Boolean));
+  const wordsB = new Set(b.toLowerCase().split(/\s+/).filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+const FUZZY_MATCH_THRESHOLD = 0.6;
+
+function findByFingerprint(fingerprint) {
+  const candidates = queryAllDeep(fingerprint.tag)
+    .slice(0, 1000)
+    .filter(isVisible);
+
+  let best = null;
+  let secondBest = 0;
+  for (const element of candidates) {
+    const score = scoreFingerprint(element, fingerprint);
+    if (!best || score > best.score) {
+      secondBest = best ? best.score : 0;
+      best = { element, score };
+    } else if (score > secondBest) {
+      secondBest = score;
+    }
+  }
+
+  // Refuse ambiguous matches rather than guess between look-alikes
+  if (!best || best.score < FUZZY_MATCH_THRESHOLD || best.score - secondBest < 0.05) {
+    return null;
+  }
+  return best;
+}
+
+// ============================================================================
+// Step Execution (Playback)
+// ============================================================================
+
+const DEFAULT_STEP_TIMEOUT = 10000;
+
+async function executeStep(step) {
+  // The background passes each step's timeout along; older callers don't
+  const timeout = step.timeout || DEFAULT_STEP_TIMEOUT;
+  // Every step sets this, so a loop's element never leaks into the next step
+  elementScope = step.scope || null;
+  stepCancelled = false;
+
+  if (step.type === 'if') {
+    return { result: evaluatePageCondition(step) };
+  }
+
+  if (step.type === 'forEach') {
+    return { selector: step.selector, result: queryLoopElements(step.selector).map(getElementText) };
+  }
+
+  if (step.type === 'assert') {
+    await runAssertion(step, timeout);
+    return;
+  }
+
+  if (step.type === 'extract') {
+    return extractData(step, timeout);
+  }
+
+  if (step.type === 'waitFor') {
+    return waitForPageCondition(step, timeout);
+  }
+
+  // Key presses recorded on the page itself go to whatever has focus
+  if (step.type === 'keydown' && !step.selector) {
+    await pressKeys(document.activeElement || document.body, step.value);
+    return { selector: null, healed: null };
+  }
+
+  // Scrolling the page itself needs no element
+  if (step.type === 'scroll' && !step.selector) {
+    await scrollToPosition(window, step.value);
+    return { selector: null, healed: null };
+  }
+
+  // File inputs are usually hidden behind a styled button, so they're looked up separately
+  if (step.type === 'upload') {
+    return uploadFiles(step, timeout);
+  }
+
+  const match = await waitForStepElement(step, timeout);
+
+  if (!match) {
+    throw new Error(`Element not found: ${step.selector}`);
+  }
+
+  const { element } = match;
+
+  // Buttons are often disabled until a form is valid or a request finishes;
+  // acting anyway keeps the old behavior if one never becomes enabled
+  if (ACTIONABLE_STEP_TYPES.includes(step.type)) {
+    await waitForCondition(() => isEnabled(element), ENABLED_WAIT_MS);
+  }
+
+  switch (step.type) {
+    case 'click':
+      // Scroll into view
+      try {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      } catch (e) {
+        // Some elements can't be scrolled
+      }
+      await sleep(200);
+
+      // Highlight briefly
+      highlightElement(element);
+
+      // Try multiple click methods for compatibility
+      try {
+        // First try native click
+        element.click();
       } catch (e) {
         // Fallback to dispatching click event
         const clickEvent = new MouseEvent('click', {
@@ -569,157 +1401,1621 @@ async function executeStep(step) {
       }
       break;
 
+    case 'hover':
+      scrollIntoViewIfNeeded(element);
+      highlightElement(element);
+      hoverElement(element);
+      // Give menus and tooltips time to open
+      await sleep(300);
+      break;
+
+    case 'dblclick':
+    case 'contextmenu':
+      scrollIntoViewIfNeeded(element);
+      await sleep(200);
+      highlightElement(element);
+      hoverElement(element);
+      if (step.type === 'dblclick') {
+        doubleClickElement(element);
+      } else {
+        rightClickElement(element);
+      }
+      break;
+
+    case 'scroll':
+      if (step.value === 'intoView') {
+        element.scrollIntoView({ block: 'center' });
+        await sleep(300);
+      } else {
+        await scrollToPosition(element, step.value);
+      }
+      break;
+
+    case 'dragAndDrop': {
+      scrollIntoViewIfNeeded(element);
+      if (!step.target) {
+        throw new Error('Drag and drop step has no drop target');
+      }
+      const dropMatch = await waitForMatch(step.target, timeout);
+      if (!dropMatch) {
+        throw new Error(`Drop target not found: ${step.target}`);
+      }
+      highlightElement(element);
+      await dragAndDrop(element, dropMatch.element);
+      break;
+    }
+
+    case 'keydown':
+      highlightElement(element);
+      if (element !== document.activeElement) {
+        try {
+          element.focus();
+        } catch (e) {}
+      }
+      await pressKeys(element, step.value);
+      break;
+
     default:
       throw new Error(`Unknown step type: ${step.type}`);
   }
+
+  return describeMatch(match);
 }
 
-async function waitForElement(selector, timeout = 10000) {
-  const start = Date.now();
-  const selectors = selector.split(',').map(s => s.trim());
+// Report which selector matched, for run history, and whether it was a fallback
+function describeMatch(match) {
+  return {
+    selector: match.selector,
+    healed: match.healed ? { selector: match.selector, strategy: match.strategy, score: match.score } : null
+  };
+}
 
-  while (Date.now() - start < timeout) {
-    for (const sel of selectors) {
-      try {
-        // Check for text-based selector
-        const textMatch = sel.match(/^(\w+):text\("(.+)"\)$/);
-        if (textMatch) {
-          const [, tag, text] = textMatch;
-          const unescapedText = text.replace(/\\"/g, '"');
-          const candidates = document.querySelectorAll(tag);
-          for (const el of candidates) {
-            if (el.textContent?.trim() === unescapedText && isVisible(el)) {
-              return el;
-            }
-          }
-          continue;
-        }
+// ============================================================================
+// Pointer Interactions
+// ============================================================================
 
-        // Try exact match
-        const element = document.querySelector(sel);
-        if (element && isVisible(element)) {
-          return element;
-        }
-      } catch (e) {
-        // Invalid selector - try recovering
-        console.warn('[Wave Content] Invalid selector:', sel, e.message);
-      }
-    }
+function getElementCenter(element) {
+  const rect = element.getBoundingClientRect();
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
 
-    // Wait before next attempt
-    await sleep(100);
+function scrollIntoViewIfNeeded(element) {
+  const rect = element.getBoundingClientRect();
+  if (rect.top < 0 || rect.left < 0 || rect.bottom > window.innerHeight || rect.right > window.innerWidth) {
+    element.scrollIntoView({ block: 'center', inline: 'center' });
   }
+}
 
-  // Log what we couldn't find for debugging
-  console.warn('[Wave Content] Element not found after timeout:', selector);
-  return null;
+// Frameworks listen for pointer events, mouse events or both, so every
+// synthetic gesture sends the full sequence a real mouse would
+function dispatchMouseEvent(element, type, point, options = {}) {
+  const init = {
+    bubbles: !type.endsWith('enter') && !type.endsWith('leave'),
+    cancelable: true,
+    composed: true,
+    view: window,
+    clientX: point.x,
+    clientY: point.y,
+    screenX: point.x + window.screenX,
+    screenY: point.y + window.screenY,
+    button: options.button ?? 0,
+    buttons: options.buttons ?? 0,
+    detail: options.detail ?? 0
+  };
+
+  let event;
+  if (type.startsWith('pointer')) {
+    event = new PointerEvent(type, { ...init, pointerId: 1, pointerType: 'mouse', isPrimary: true });
+  } else if (type.startsWith('drag') || type === 'drop') {
+    event = new DragEvent(type, { ...init, dataTransfer: options.dataTransfer });
+  } else {
+    event = new MouseEvent(type, init);
+  }
+  return element.dispatchEvent(event);
 }
 
-function isVisible(element) {
-  const style = window.getComputedStyle(element);
-  return style.display !== 'none' &&
-         style.visibility !== 'hidden' &&
-         style.opacity !== '0' &&
-         element.offsetParent !== null;
+function hoverElement(element) {
+  const point = getElementCenter(element);
+  for (const type of ['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'pointermove', 'mousemove']) {
+    dispatchMouseEvent(element, type, point);
+  }
 }
 
-function highlightElement(element) {
-  const originalOutline = element.style.outline;
-  element.style.outline = '3px solid #4CAF50';
-  setTimeout(() => {
-    element.style.outline = originalOutline;
-  }, 500);
+function pressMouseButton(element, point, button, detail) {
+  const buttons = button === 2 ? 2 : 1;
+  dispatchMouseEvent(element, 'pointerdown', point, { button, buttons, detail });
+  dispatchMouseEvent(element, 'mousedown', point, { button, buttons, detail });
+  dispatchMouseEvent(element, 'pointerup', point, { button, detail });
+  dispatchMouseEvent(element, 'mouseup', point, { button, detail });
 }
 
-// ============================================================================
-// Communication
-// ============================================================================
+function doubleClickElement(element) {
+  const point = getElementCenter(element);
+  for (const detail of [1, 2]) {
+    pressMouseButton(element, point, 0, detail);
+    dispatchMouseEvent(element, 'click', point, { detail });
+  }
+  dispatchMouseEvent(element, 'dblclick', point, { detail: 2 });
+}
 
-function sendStep(step) {
-  chrome.runtime.sendMessage({
-    type: 'RECORD_STEP',
-    data: step
-  });
+function rightClickElement(element) {
+  const point = getElementCenter(element);
+  pressMouseButton(element, point, 2, 1);
+  dispatchMouseEvent(element, 'contextmenu', point, { button: 2, detail: 1 });
+}
+
+async function dragAndDrop(source, target) {
+  const from = getElementCenter(source);
+
+  // Native drag and drop only reacts to drag events
+  if (source.closest('[draggable="true"]')) {
+    const dataTransfer = new DataTransfer();
+    const to = getElementCenter(target);
+    dispatchMouseEvent(source, 'dragstart', from, { dataTransfer, buttons: 1 });
+    await sleep(50);
+    dispatchMouseEvent(target, 'dragenter', to, { dataTransfer, buttons: 1 });
+    dispatchMouseEvent(target, 'dragover', to, { dataTransfer, buttons: 1 });
+    await sleep(50);
+    dispatchMouseEvent(target, 'drop', to, { dataTransfer });
+    dispatchMouseEvent(source, 'dragend', to, { dataTransfer });
+    return;
+  }
+
+  // Pointer-based libraries need to see the pointer travel, past their drag
+  // threshold, over whatever is under it along the way
+  hoverElement(source);
+  dispatchMouseEvent(source, 'pointerdown', from, { buttons: 1, detail: 1 });
+  dispatchMouseEvent(source, 'mousedown', from, { buttons: 1, detail: 1 });
+
+  const moves = 10;
+  let under = source;
+  for (let i = 1; i <= moves; i++) {
+    // The target may shift as the list reorders, so aim at where it is now
+    const to = getElementCenter(target);
+    const point = { x: from.x + (to.x - from.x) * i / moves, y: from.y + (to.y - from.y) * i / moves };
+    under = document.elementsFromPoint(point.x, point.y).find(el => el !== source && !source.contains(el)) || target;
+    dispatchMouseEvent(under, 'pointermove', point, { buttons: 1 });
+    dispatchMouseEvent(under, 'mousemove', point, { buttons: 1 });
+    await sleep(30);
+  }
+
+  const to = getElementCenter(target);
+  dispatchMouseEvent(under, 'pointerup', to, { detail: 1 });
+  dispatchMouseEvent(under, 'mouseup', to, { detail: 1 });
+}
+
+// Scroll a window or element to "x,y", waiting for lazily loaded content
+// (infinite lists) to make the position reachable
+async function scrollToPosition(scroller, value, timeout = 5000) {
+  const match = String(value || '').match(/^\s*(-?\d+)\s*,\s*(-?\d+)\s*$/);
+  if (!match) {
+    throw new Error(`Invalid scroll position: ${value} (use "x,y" or "intoView")`);
+  }
+
+  const left = parseInt(match[1]);
+  const top = parseInt(match[2]);
+  const position = () => scroller === window
+    ? { x: window.scrollX, y: window.scrollY }
+    : { x: scroller.scrollLeft, y: scroller.scrollTop };
+
+  const start = Date.now();
+  while (true) {
+    throwIfCancelled();
+    scroller.scrollTo({ left, top, behavior: 'instant' });
+    await sleep(250);
+
+    const current = position();
+    if (Math.abs(current.x - left) <= 1 && Math.abs(current.y - top) <= 1) return;
+    if (Date.now() - start >= timeout) {
+      console.warn('[Wave Content] Could not scroll all the way to', value, 'stopped at', current);
+      return;
+    }
+  }
 }
 
 // ============================================================================
-// Visual Indicator
-// ============================================================================
-
-function showRecordingIndicator() {
-  if (!document.body) return;
-  if (document.getElementById('wave-recording-indicator')) return;
-
-  const indicator = document.createElement('div');
-  indicator.id = 'wave-recording-indicator';
-  indicator.innerHTML = `
-    <div style="
-      position: fixed;
-      top: 16px;
-      right: 16px;
-      z-index: 2147483647;
-      background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
-      color: white;
-      padding: 10px 18px;
-      border-radius: 24px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      font-size: 13px;
-      font-weight: 600;
-      box-shadow: 0 4px 20px rgba(239, 68, 68, 0.4);
-      display: flex;
-      align-items: center;
-      gap: 10px;
-      cursor: default;
-      user-select: none;
-      backdrop-filter: blur(8px);
-      pointer-events: none;
-    ">
-      <span style="
-        width: 10px;
-        height: 10px;
-        background: white;
-        border-radius: 50%;
-        animation: wave-pulse 1.5s ease-in-out infinite;
-        box-shadow: 0 0 8px rgba(255,255,255,0.6);
-      "></span>
-      <span>Recording</span>
-    </div>
-    <style>
-      @keyframes wave-pulse {
-        0%, 100% { opacity: 1; transform: scale(1); }
-        50% { opacity: 0.7; transform: scale(0.9); }
-      }
-    </style>
-  `;
+// File Uploads
+// ============================================================================
 
-  try {
-    document.body.appendChild(indicator);
-  } catch (e) {
-    console.warn('[Wave Content] Could not show recording indicator:', e);
+async function uploadFiles(step, timeout = 10000) {
+  if (!step.files?.length) {
+    throw new Error('Upload step has no files');
+  }
+
+  let match = null;
+  await waitForCondition(() => (match = findUploadTarget(step.selector)), timeout);
+  if (!match) {
+    throw new Error(`Element not found: ${step.selector}`);
+  }
+
+  const { element } = match;
+  const dataTransfer = new DataTransfer();
+  for (const file of step.files) {
+    dataTransfer.items.add(createFile(file));
+  }
+
+  if (isFileInput(element)) {
+    if (step.files.length > 1 && !element.multiple) {
+      throw new Error(`${match.selector} takes a single file, but the step has ${step.files.length}`);
+    }
+    element.files = dataTransfer.files;
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  } else {
+    // Drop zones get the files the way a drag from the desktop delivers them
+    scrollIntoViewIfNeeded(element);
+    highlightElement(element);
+    const point = getElementCenter(element);
+    for (const type of ['dragenter', 'dragover', 'drop']) {
+      dispatchMouseEvent(element, type, point, { dataTransfer });
+    }
   }
+
+  return { selector: match.selector, healed: null };
 }
 
-function hideRecordingIndicator() {
-  try {
-    const indicator = document.getElementById('wave-recording-indicator');
-    if (indicator) {
-      indicator.remove();
+// A visible drop zone, or a file input whether it's visible or not
+function findUploadTarget(selector) {
+  const match = locateElement(selector);
+  if (match) return match;
+
+  for (const sel of splitSelectorList(selector)) {
+    try {
+      const element = queryAll(sel).find(isFileInput);
+      if (element) return { element, selector: sel };
+    } catch (e) {
+      // Invalid selector, locateElement already warned
     }
-  } catch (e) {
-    // Ignore removal errors
   }
+  return null;
+}
+
+// Files arrive either as stored base64 data or as text generated from a template
+function createFile(file) {
+  const contents = typeof file.text === 'string'
+    ? file.text
+    : Uint8Array.from(atob(file.data || ''), char => char.charCodeAt(0));
+  return new File([contents], file.name, { type: file.type || '' });
 }
 
 // ============================================================================
-// Utilities
+// Keyboard
 // ============================================================================
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+const KEY_CODES = {
+  Backspace: 8, Tab: 9, Enter: 13, Escape: 27, Space: 32,
+  PageUp: 33, PageDown: 34, End: 35, Home: 36,
+  ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40, Delete: 46
+};
+
+function parseKeyCombo(combo) {
+  const match = String(combo || '').match(/^((?:(?:Control|Alt|Shift|Meta)\+)*)(.+)$/);
+  if (!match) {
+    throw new Error(`Invalid key: ${combo}`);
+  }
+
+  const modifiers = match[1].split('+').filter(Boolean);
+  const shiftKey = modifiers.includes('Shift');
+  let key = match[2] === 'Space' ? ' ' : match[2];
+  // Letters are recorded uppercase; without Shift the browser reports lowercase
+  if (key.length === 1 && !shiftKey) key = key.toLowerCase();
+
+  return {
+    key,
+    ctrlKey: modifiers.includes('Control'),
+    altKey: modifiers.includes('Alt'),
+    shiftKey,
+    metaKey: modifiers.includes('Meta')
+  };
+}
+
+function getKeyEventInit(keyInfo) {
+  const { key } = keyInfo;
+  let code = key;
+  let keyCode = KEY_CODES[key === ' ' ? 'Space' : key] || 0;
+
+  if (key === ' ') {
+    code = 'Space';
+  } else if (/^[a-z]$/i.test(key)) {
+    code = `Key${key.toUpperCase()}`;
+    keyCode = key.toUpperCase().charCodeAt(0);
+  } else if (/^[0-9]$/.test(key)) {
+    code = `Digit${key}`;
+    keyCode = key.charCodeAt(0);
+  } else if (/^F\d{1,2}$/.test(key)) {
+    keyCode = 111 + parseInt(key.slice(1));
+  }
+
+  // keyCode and which are deprecated, but plenty of pages still read them
+  return { ...keyInfo, code, keyCode, which: keyCode, bubbles: true, cancelable: true, composed: true };
+}
+
+// Synthetic key events don't trigger the browser's default actions, so the
+// ones pages rely on (submitting on Enter, moving focus on Tab) are done here
+async function pressKeys(element, combo) {
+  const keyInfo = parseKeyCombo(combo);
+  const init = getKeyEventInit(keyInfo);
+  const { key } = keyInfo;
+  const hasShortcutModifier = keyInfo.ctrlKey || keyInfo.metaKey || keyInfo.altKey;
+
+  const proceed = element.dispatchEvent(new KeyboardEvent('keydown', init));
+
+  // keypress only fires for keys that produce a character (and Enter)
+  if (proceed && !hasShortcutModifier && (key.length === 1 || key === 'Enter')) {
+    const charCode = key === 'Enter' ? 13 : key.charCodeAt(0);
+    element.dispatchEvent(new KeyboardEvent('keypress', { ...init, charCode, keyCode: charCode, which: charCode }));
+  }
+
+  if (proceed && !hasShortcutModifier) {
+    runDefaultKeyAction(element, key, keyInfo.shiftKey);
+  }
+
+  await sleep(50);
+  element.dispatchEvent(new KeyboardEvent('keyup', init));
+}
+
+function runDefaultKeyAction(element, key, shiftKey) {
+  const tag = element.tagName;
+  const type = (element.type || '').toLowerCase();
+
+  if (key === 'Enter') {
+    if (tag === 'A' || tag === 'BUTTON' || (tag === 'INPUT' && ['submit', 'button', 'reset', 'image'].includes(type))) {
+      element.click();
+    } else if (tag === 'INPUT' && element.form) {
+      submitForm(element.form);
+    }
+  } else if (key === ' ') {
+    if (tag === 'BUTTON' || (tag === 'INPUT' && ['checkbox', 'radio', 'submit', 'button'].includes(type))) {
+      element.click();
+    }
+  } else if (key === 'Tab') {
+    moveFocus(element, shiftKey ? -1 : 1);
+  }
+}
+
+function submitForm(form) {
+  // Implicit submission goes through the form's default button, so its
+  // click handlers run just like with a real Enter key
+  const defaultButton = form.querySelector('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+  if (defaultButton) {
+    if (!defaultButton.disabled) defaultButton.click();
+    return;
+  }
+  form.requestSubmit();
+}
+
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]';
+
+function moveFocus(from, direction) {
+  const focusable = Array.from(document.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter(el => !el.disabled && el.tabIndex >= 0 && el.type !== 'hidden' && isVisible(el));
+
+  // Positive tabindex values come first, in order, then everything else in page order
+  const ordered = [
+    ...focusable.filter(el => el.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex),
+    ...focusable.filter(el => el.tabIndex === 0)
+  ];
+  if (ordered.length === 0) return;
+
+  const index = ordered.indexOf(from);
+  const next = index === -1
+    ? ordered[direction > 0 ? 0 : ordered.length - 1]
+    : ordered[(index + direction + ordered.length) % ordered.length];
+  next.focus();
 }
 
 // ============================================================================
-// Init
+// Assertions
 // ============================================================================
 
+async function runAssertion(step, timeout = 10000) {
+  const expected = step.value ?? '';
+
+  switch (step.assertion) {
+    case 'exists': {
+      const element = await waitForElement(step.selector, timeout);
+      if (!element) {
+        throw new Error(`Assertion failed: expected element ${step.selector} to exist`);
+      }
+      return;
+    }
+
+    case 'absent': {
+      const gone = await waitForCondition(() => !findElement(step.selector), timeout);
+      if (!gone) {
+        throw new Error(`Assertion failed: expected element ${step.selector} to be absent`);
+      }
+      return;
+    }
+
+    case 'textContains':
+    case 'textEquals':
+    case 'valueEquals': {
+      const element = await waitForElement(step.selector, timeout);
+      if (!element) {
+        throw new Error(`Assertion failed: element not found: ${step.selector}`);
+      }
+
+      const read = step.assertion === 'valueEquals' ? getElementValue : getElementText;
+      const matches = step.assertion === 'textContains'
+        ? (actual) => actual.includes(expected)
+        : (actual) => actual === expected;
+
+      // Pages often update text after the element appears, so keep checking
+      let actual = read(element);
+      const passed = await waitForCondition(() => matches(actual = read(element)), timeout);
+      if (!passed) {
+        throw new Error(formatAssertionFailure(step, expected, actual));
+      }
+      return;
+    }
+
+    case 'urlMatches':
+    case 'titleMatches': {
+      const read = step.assertion === 'urlMatches'
+        ? () => window.location.href
+        : () => document.title;
+
+      let actual = read();
+      const passed = await waitForCondition(() => matchesPattern(actual = read(), expected), timeout);
+      if (!passed) {
+        throw new Error(formatAssertionFailure(step, expected, actual));
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown assertion: ${step.assertion}`);
+  }
+}
+
+function formatAssertionFailure(step, expected, actual) {
+  const labels = {
+    textContains: 'text contains',
+    textEquals: 'text equals',
+    valueEquals: 'value equals',
+    urlMatches: 'URL matches',
+    titleMatches: 'title matches'
+  };
+  const target = step.selector && !['urlMatches', 'titleMatches'].includes(step.assertion)
+    ? ` on ${step.selector}`
+    : '';
+
+  return `Assertion failed (${labels[step.assertion]})${target}: ` +
+    `expected "${truncate(expected, 100)}", got "${truncate(actual, 100)}"`;
+}
+
+function getElementText(element) {
+  return (element.innerText ?? element.textContent ?? '').trim().replace(/\s+/g, ' ');
+}
+
+function getElementValue(element) {
+  return element.isContentEditable ? element.textContent : (element.value ?? '');
+}
+
+function matchesPattern(value, pattern) {
+  // "/regex/flags" is a regular expression
+  const regexMatch = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regexMatch) {
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (e) {
+      throw new Error(`Invalid pattern "${pattern}"`);
+    }
+    return regex.test(value);
+  }
+
+  // Otherwise "*" is a wildcard and the whole value must match
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(value);
+}
+
+async function waitForCondition(check, timeout) {
+  const start = Date.now();
+
+  while (true) {
+    throwIfCancelled();
+    if (check()) return true;
+    if (Date.now() - start >= timeout) return false;
+    await sleep(100);
+  }
+}
+
+// ============================================================================
+// Waits
+// ============================================================================
+
+const ACTIONABLE_STEP_TYPES = ['click', 'dblclick', 'contextmenu', 'input', 'keydown', 'dragAndDrop'];
+const ENABLED_WAIT_MS = 5000;
+
+async function waitForPageCondition(step, timeout = 10000) {
+  switch (step.condition) {
+    case 'domStable': {
+      const quietMs = parseInt(step.value) || 500;
+      if (!await waitForDomStable(quietMs, timeout)) {
+        throw new Error(`Page still changing after ${timeout / 1000}s`);
+      }
+      return { selector: null, healed: null };
+    }
+
+    case 'visible': {
+      const match = await waitForStepElement(step, timeout);
+      if (!match) {
+        throw new Error(`Element not visible: ${step.selector}`);
+      }
+      return describeMatch(match);
+    }
+
+    case 'hidden':
+      if (!await waitForCondition(() => !locateElement(step.selector), timeout)) {
+        throw new Error(`Element still visible: ${step.selector}`);
+      }
+      return { selector: step.selector, healed: null };
+
+    case 'enabled': {
+      const start = Date.now();
+      const match = await waitForStepElement(step, timeout);
+      if (!match) {
+        throw new Error(`Element not found: ${step.selector}`);
+      }
+      if (!await waitForCondition(() => isEnabled(match.element), Math.max(0, timeout - (Date.now() - start)))) {
+        throw new Error(`Element still disabled: ${match.selector}`);
+      }
+      return describeMatch(match);
+    }
+
+    default:
+      throw new Error(`Unknown wait condition: ${step.condition}`);
+  }
+}
+
+// Resolves true once nothing in the page has changed for quietMs, false on timeout
+function waitForDomStable(quietMs = 500, timeout = 10000) {
+  return new Promise(resolve => {
+    let quietTimer = null;
+
+    const finish = (stable) => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(deadline);
+      resolve(stable);
+    };
+
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => finish(true), quietMs);
+    });
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true
+    });
+
+    quietTimer = setTimeout(() => finish(true), quietMs);
+    const deadline = setTimeout(() => finish(false), timeout);
+  });
+}
+
+function isEnabled(element) {
+  return !element.matches(':disabled') && element.getAttribute('aria-disabled') !== 'true';
+}
+
+// ============================================================================
+// Control Flow
+// ============================================================================
+
+// If steps check the page once, as it is when the step runs
+function evaluatePageCondition(step) {
+  if (!step.selector) {
+    throw new Error('If step has no selector');
+  }
+  const match = locateElement(step.selector);
+
+  switch (step.condition) {
+    case 'exists':
+      return Boolean(match);
+    case 'textMatches':
+      return Boolean(match) && matchesPattern(getElementText(match.element), step.value || '');
+    default:
+      throw new Error(`Unknown condition: ${step.condition}`);
+  }
+}
+
+// Visible matches a forEach loops over; ":scope" selectors look inside the
+// element of the loop around it
+function queryLoopElements(selector) {
+  const matches = selector.trim().startsWith(':scope') ? queryFromScope(selector) : queryAll(selector);
+  return matches.filter(isVisible);
+}
+
+function queryFromScope(selector) {
+  if (!elementScope) {
+    throw new Error('":scope" selectors only work inside a For each loop over elements');
+  }
+
+  const root = getScopeElement(elementScope);
+  if (!root) {
+    throw new Error(`Loop element ${elementScope.index + 1} is no longer on the page`);
+  }
+
+  const rest = selector.trim().slice(':scope'.length).trim();
+  if (!rest) {
+    return [root];
+  }
+  // Combinators (":scope > li") need the native form
+  if (/^[>+~]/.test(rest)) {
+    return Array.from(root.querySelectorAll(`:scope ${rest}`));
+  }
+  return queryAll(rest, root);
+}
+
+// Looked up again for every step, since the page may have re-rendered the list
+function getScopeElement(scope) {
+  const outer = elementScope;
+  try {
+    elementScope = scope.parent;
+    return queryLoopElements(scope.selector)[scope.index] || null;
+  } finally {
+    elementScope = outer;
+  }
+}
+
+// ============================================================================
+// Extraction
+// ============================================================================
+
+const MAX_EXTRACTED_ROWS = 1000;
+const TABLE_SELECTOR = 'table, [role="table"], [role="grid"], [role="treegrid"]';
+const TABLE_CELL_SELECTOR = 'th, td, [role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+
+// Reads what an extract step asks for: a string for text, attributes and
+// values, the text of every visible match for lists, and row objects for tables
+async function extractData(step, timeout) {
+  if (!step.selector) {
+    throw new Error('Extract step has no selector');
+  }
+
+  // Lists wait for their first item, then take what's there at that moment
+  if (step.extract === 'list') {
+    const found = await waitForCondition(() => queryLoopElements(step.selector).length > 0, timeout);
+    if (!found) {
+      throw new Error(`Element not found: ${step.selector}`);
+    }
+    return { selector: step.selector, result: queryLoopElements(step.selector).slice(0, MAX_EXTRACTED_ROWS).map(getElementText) };
+  }
+
+  const match = await waitForStepElement(step, timeout);
+  if (!match) {
+    throw new Error(`Element not found: ${step.selector}`);
+  }
+
+  const { element } = match;
+  highlightElement(element);
+
+  // Extracted data is kept in run history and downloads, where secrets don't belong
+  const readsValue = step.extract === 'value' || (step.extract === 'attribute' && step.value?.trim().toLowerCase() === 'value');
+  if (readsValue && isSecretField(element)) {
+    throw new Error(`Can't extract the value of a secret field: ${step.selector}`);
+  }
+
+  switch (step.extract) {
+    case 'text':
+      return { ...describeMatch(match), result: getElementText(element) };
+
+    case 'value':
+      return { ...describeMatch(match), result: getElementValue(element) };
+
+    case 'attribute':
+      if (!step.value) {
+        throw new Error('Extract step has no attribute name');
+      }
+      return { ...describeMatch(match), result: getAttributeValue(element, step.value.trim()) };
+
+    case 'table':
+      return { ...describeMatch(match), result: readTable(element) };
+
+    default:
+      throw new Error(`Unknown extraction: ${step.extract}`);
+  }
+}
+
+// Links and sources as absolute URLs, which is what's worth keeping
+function getAttributeValue(element, name) {
+  const value = element.getAttribute(name);
+  if (value === null) return '';
+  if (['href', 'src', 'action'].includes(name.toLowerCase())) {
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch (e) {
+      // Not a URL after all
+    }
+  }
+  return value;
+}
+
+// Visible rows as objects keyed by the header row's cells; tables without a
+// header get column1, column2... Rows of tables nested inside are left out
+function readTable(element) {
+  const table = element.matches(TABLE_SELECTOR) ? element : element.closest(TABLE_SELECTOR) || element;
+  const nested = Array.from(table.querySelectorAll(TABLE_SELECTOR));
+
+  const rows = Array.from(table.querySelectorAll('tr, [role="row"]'))
+    .filter(row => !nested.some(inner => inner.contains(row)) && isVisible(row))
+    .map(row => Array.from(row.children).filter(cell => cell.matches(TABLE_CELL_SELECTOR)))
+    .filter(cells => cells.length > 0);
+
+  if (rows.length === 0) {
+    throw new Error(`No table rows found in ${generateSelector(element)}`);
+  }
+
+  const isHeaderCell = cell => cell.tagName === 'TH' || cell.getAttribute('role') === 'columnheader';
+  const hasHeader = rows[0].every(isHeaderCell);
+  const width = Math.max(...rows.map(cells => cells.length));
+
+  const taken = new Set();
+  const columns = Array.from({ length: width }, (_, i) => {
+    const base = (hasHeader && rows[0][i] ? getElementText(rows[0][i]) : '') || `column${i + 1}`;
+    let name = base;
+    for (let n = 2; taken.has(name); n++) {
+      name = `${base} ${n}`;
+    }
+    taken.add(name);
+    return name;
+  });
+
+  return rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + MAX_EXTRACTED_ROWS)
+    .map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ? getElementText(cells[i]) : ''])));
+}
+
+// ============================================================================
+// Element Lookup
+// ============================================================================
+
+async function waitForElement(selector, timeout = 10000) {
+  const match = await waitForMatch(selector, timeout);
+  return match ? match.element : null;
+}
+
+async function waitForMatch(selector, timeout = 10000) {
+  const start = Date.now();
+
+  while (Date.now() - start < timeout) {
+    throwIfCancelled();
+    const match = locateElement(selector);
+    if (match) {
+      return match;
+    }
+
+    // Wait before next attempt
+    await sleep(100);
+  }
+
+  // Log what we couldn't find for debugging
+  console.warn('[Wave Content] Element not found after timeout:', selector);
+  return null;
+}
+
+function findElement(selector) {
+  const match = locateElement(selector);
+  return match ? match.element : null;
+}
+
+// Returns the first visible element and the selector (of a comma-separated list) that found it
+function locateElement(selector) {
+  const selectors = splitSelectorList(selector);
+
+  for (const sel of selectors) {
+    // Steps inside a forEach over elements can look inside the current one.
+    // Outside a loop, or once its element is gone, waiting won't help, so
+    // the error reaches the step
+    if (sel.startsWith(':scope')) {
+      const element = queryFromScope(sel).find(isVisible);
+      if (element) {
+        return { element, selector: sel };
+      }
+      continue;
+    }
+
+    try {
+      // Text- and label-based selectors, and shadow host chains, match any visible candidate
+      if (parsePseudoSelector(sel) || sel.includes('>>>')) {
+        const element = queryAll(sel).find(isVisible);
+        if (element) {
+          return { element, selector: sel };
+        }
+        continue;
+      }
+
+      // Try exact match
+      const element = document.querySelector(sel);
+      if (element && isVisible(element)) {
+        return { element, selector: sel };
+      }
+    } catch (e) {
+      // Invalid selector - try recovering
+      console.warn('[Wave Content] Invalid selector:', sel, e.message);
+    }
+  }
+
+  return null;
+}
+
+// A selector list split at its top-level commas, leaving those inside
+// quotes (button:text("Save, continue")), brackets and parentheses alone
+function splitSelectorList(selector) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === '\\') {
+      current += char + (selector[++i] ?? '');
+      continue;
+    }
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if ((char === ')' || char === ']') && depth > 0) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+// All elements matching a single selector, including Wave's
+// tag:text("...") and tag:label("...") forms and host >>> inner chains
+function queryAll(selector, root = document) {
+  const parts = selector.split('>>>').map(part => part.trim());
+  if (parts.length > 1) {
+    // Resolve each host in turn, then search inside its open shadow root
+    let roots = [root];
+    for (const part of parts.slice(0, -1)) {
+      roots = roots.flatMap(r => queryAll(part, r)).map(host => host.shadowRoot).filter(Boolean);
+    }
+    return roots.flatMap(r => queryAll(parts[parts.length - 1], r));
+  }
+
+  const pseudo = parsePseudoSelector(selector);
+  if (!pseudo) {
+    return Array.from(root.querySelectorAll(selector));
+  }
+
+  const { tag, kind, text } = pseudo;
+  return Array.from(root.querySelectorAll(tag)).filter(el => kind === 'text'
+    ? el.textContent?.trim() === text
+    : getLabelText(el) === text);
+}
+
+// Matches in the document and in every open shadow root inside it
+function queryAllDeep(selector, root = document) {
+  const results = Array.from(root.querySelectorAll(selector));
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      results.push(...queryAllDeep(selector, element.shadowRoot));
+    }
+  }
+  return results;
+}
+
+function parsePseudoSelector(selector) {
+  const match = selector.match(/^(\w+):(text|label)\("(.+)"\)$/);
+  if (!match) return null;
+
+  const [, tag, kind, text] = match;
+  return { tag, kind, text: text.replace(/\\"/g, '"') };
+}
+
+// Give the recorded selector a moment (the page may still be rendering)
+// before falling back to alternative locators, then to fuzzy matching
+const HEAL_AFTER_MS = 1500;
+const FUZZY_AFTER_MS = 3000;
+// Fingerprint matching scores up to 1000 elements, so it runs far less often than the other checks
+const FUZZY_INTERVAL_MS = 1000;
+
+async function waitForStepElement(step, timeout = 10000) {
+  const start = Date.now();
+  const fingerprint = step.fingerprint;
+  const fallbacks = (step.locators || []).filter(l => l.selector !== step.selector);
+  let fuzzyAt = 0;
+
+  while (Date.now() - start < timeout) {
+    throwIfCancelled();
+    const match = step.selector ? locateElement(step.selector) : null;
+    if (match) {
+      return { ...match, healed: false };
+    }
+
+    const elapsed = Date.now() - start;
+
+    if (elapsed >= HEAL_AFTER_MS) {
+      for (const locator of fallbacks) {
+        const fallback = locateElement(locator.selector);
+        // A fallback must at least find the same kind of element
+        if (fallback && (!fingerprint || fallback.element.tagName.toLowerCase() === fingerprint.tag)) {
+          console.log('[Wave Content] Healed selector:', step.selector, '->', locator.selector);
+          return { ...fallback, healed: true, strategy: locator.strategy, score: 1 };
+        }
+      }
+    }
+
+    if (elapsed >= FUZZY_AFTER_MS && fingerprint && Date.now() - fuzzyAt >= FUZZY_INTERVAL_MS) {
+      fuzzyAt = Date.now();
+      const fuzzy = findByFingerprint(fingerprint);
+      if (fuzzy) {
+        const selector = generateSelector(fuzzy.element);
+        console.log('[Wave Content] Healed selector by fingerprint:', step.selector, '->', selector, fuzzy.score);
+        return { element: fuzzy.element, selector, healed: true, strategy: 'fingerprint', score: Math.round(fuzzy.score * 100) / 100 };
+      }
+    }
+
+    await sleep(100);
+  }
+
+  console.warn('[Wave Content] Element not found after timeout:', step.selector);
+  return null;
+}
+
+function isVisible(element) {
+  const style = window.getComputedStyle(element);
+  return style.display !== 'none' &&
+         style.visibility !== 'hidden' &&
+         style.opacity !== '0' &&
+         element.offsetParent !== null;
+}
+
+function highlightElement(element) {
+  const originalOutline = element.style.outline;
+  element.style.outline = '3px solid #4CAF50';
+  setTimeout(() => {
+    element.style.outline = originalOutline;
+  }, 500);
+}
+
+// ============================================================================
+// DOM Snapshot (failure diagnostics)
+// ============================================================================
+
+const DOM_SNAPSHOT_MAX_LENGTH = 100000;
+
+function getDomSnapshot() {
+  const clone = document.documentElement.cloneNode(true);
+
+  // Drop what doesn't help show the page structure
+  clone.querySelectorAll(`script, style, noscript, template, link[rel="stylesheet"], ${WAVE_UI_SELECTOR}`)
+    .forEach(el => el.remove());
+  clone.querySelectorAll('svg').forEach(svg => { svg.innerHTML = ''; });
+
+  for (const el of clone.querySelectorAll('*')) {
+    for (const attr of Array.from(el.attributes)) {
+      if (attr.name.startsWith('on')) {
+        el.removeAttribute(attr.name);
+      } else if (attr.value.startsWith('data:')) {
+        el.setAttribute(attr.name, 'data:…');
+      }
+    }
+  }
+
+  // Typed values aren't attributes, but server-rendered forms and frameworks
+  // that sync the value attribute put them in the markup. Secrets never go in
+  clone.querySelectorAll('input, textarea').forEach(field => {
+    if (!isSecretField(field)) return;
+    field.removeAttribute('value');
+    if (field.tagName === 'TEXTAREA') field.textContent = '';
+  });
+
+  const html = '<!DOCTYPE html>\n' + clone.outerHTML;
+  if (html.length <= DOM_SNAPSHOT_MAX_LENGTH) {
+    return html;
+  }
+  return html.substring(0, DOM_SNAPSHOT_MAX_LENGTH) + '\n<!-- truncated by Wave -->';
+}
+
+// ============================================================================
+// Communication
+// ============================================================================
+
+function sendStep(step, element) {
+  lastStepAt = Date.now();
+
+  // Alternative locators and a fingerprint let playback heal broken selectors
+  if (element) {
+    step.locators = generateLocators(element);
+    step.fingerprint = getFingerprint(element);
+  }
+
+  // Steps inside iframes say which frame playback has to target
+  if (!isTopFrame) {
+    step.frame = { url: window.location.href, path: framePath };
+  }
+
+  chrome.runtime.sendMessage({
+    type: 'RECORD_STEP',
+    data: step
+  });
+}
+
+// ============================================================================
+// Recording Toolbar
+// ============================================================================
+
+const RECORDING_TOOLBAR_STYLES = `
+  .bar {
+    position: fixed; top: 16px; right: 16px; z-index: 2147483647;
+    display: flex; align-items: center; gap: 6px; padding: 6px 8px 6px 6px;
+    border-radius: 22px; background: #1f2937; color: #f9fafb;
+    font: 600 12px/1 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3); user-select: none;
+  }
+  .grip { padding: 4px; color: #9ca3af; cursor: grab; letter-spacing: -2px; }
+  .grip:active { cursor: grabbing; }
+  .dot {
+    width: 10px; height: 10px; border-radius: 50%; background: #ef4444;
+    animation: pulse 1.5s ease-in-out infinite;
+  }
+  .bar.paused .dot { background: #f59e0b; animation: none; }
+  .count { min-width: 48px; color: #d1d5db; font-weight: 500; }
+  button {
+    padding: 5px 9px; border-radius: 14px; border: 1px solid #4b5563;
+    background: #374151; color: inherit; font: inherit; cursor: pointer;
+  }
+  button:hover:not(:disabled) { background: #4b5563; }
+  button.active { background: #2563eb; border-color: #2563eb; }
+  button.stop { background: #dc2626; border-color: #dc2626; }
+  button:disabled { opacity: 0.5; cursor: default; }
+  .hint {
+    position: absolute; top: calc(100% + 6px); right: 0; white-space: nowrap;
+    padding: 5px 10px; border-radius: 6px; background: #111827; color: #e5e7eb; font-weight: 500;
+  }
+  .hint.error { color: #fca5a5; }
+  @keyframes pulse {
+    0%, 100% { opacity: 1; transform: scale(1); }
+    50% { opacity: 0.7; transform: scale(0.9); }
+  }
+`;
+
+const TOOLBAR_POSITION_KEY = 'recordingToolbarPosition';
+const TOOLBAR_HINT_MS = 2500;
+
+/**
+ * Controls for the recording on the page itself, in a closed shadow root so
+ * the page's styles and scripts can't reach it. Clicks on it are never
+ * recorded. It can be dragged out of the way, and stays where it was put.
+ */
+function showRecordingToolbar(status) {
+  if (recordingToolbar || !document.documentElement) return;
+
+  const host = document.createElement('div');
+  host.id = 'wave-recording-toolbar';
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>${RECORDING_TOOLBAR_STYLES}</style>
+    <div class="bar">
+      <span class="grip" title="Drag to move">⋮⋮</span>
+      <span class="dot"></span>
+      <span class="count"></span>
+      <button data-action="pause"></button>
+      <button data-action="undo" title="Remove the last recorded step">Undo</button>
+      <button data-action="assert" title="Click an element to assert its text or value">Assert</button>
+      <button data-action="wait" title="Click an element to wait for it to be visible">Wait</button>
+      <button data-action="stop" class="stop">Stop & Save</button>
+      <div class="hint" hidden></div>
+    </div>
+  `;
+
+  const bar = root.querySelector('.bar');
+  recordingToolbar = { host, root, bar, status: status || { stepCount: 0, paused: false }, hintTimer: null };
+
+  // Keep the page from reacting to clicks on the toolbar
+  ['pointerdown', 'mousedown', 'click', 'dblclick'].forEach(type => {
+    host.addEventListener(type, event => event.stopPropagation());
+  });
+  root.querySelectorAll('[data-action]').forEach(button => {
+    button.addEventListener('click', () => handleToolbarAction(button.dataset.action));
+  });
+  makeToolbarDraggable(bar, root.querySelector('.grip'));
+
+  try {
+    document.documentElement.appendChild(host);
+  } catch (e) {
+    console.warn('[Wave Content] Could not show recording toolbar:', e);
+  }
+
+  chrome.storage.local.get(TOOLBAR_POSITION_KEY).then(stored => {
+    if (stored?.[TOOLBAR_POSITION_KEY]) moveToolbar(bar, stored[TOOLBAR_POSITION_KEY]);
+  }).catch(() => {});
+
+  updateRecordingToolbar(recordingToolbar.status);
+}
+
+function hideRecordingToolbar() {
+  setPickMode(null);
+  if (!recordingToolbar) return;
+
+  clearTimeout(recordingToolbar.hintTimer);
+  recordingToolbar.host.remove();
+  recordingToolbar = null;
+}
+
+function updateRecordingToolbar(status) {
+  if (!recordingToolbar || !status) return;
+
+  recordingToolbar.status = status;
+  const { root, bar } = recordingToolbar;
+  const { stepCount, paused } = status;
+
+  bar.classList.toggle('paused', paused);
+  root.querySelector('.count').textContent = `${stepCount} step${stepCount !== 1 ? 's' : ''}${paused ? ' · paused' : ''}`;
+  const pauseButton = root.querySelector('[data-action="pause"]');
+  pauseButton.textContent = paused ? 'Resume' : 'Pause';
+  pauseButton.title = paused ? 'Record steps again' : 'Stop recording steps until resumed';
+  root.querySelector('[data-action="undo"]').disabled = stepCount === 0;
+  root.querySelectorAll('[data-action="assert"], [data-action="wait"]').forEach(button => {
+    button.disabled = paused;
+  });
+
+  if (paused && pickMode) sharePickMode(null);
+}
+
+async function handleToolbarAction(action) {
+  if (action === 'assert' || action === 'wait') {
+    sharePickMode(pickMode === action ? null : action);
+    return;
+  }
+
+  const { status } = recordingToolbar;
+  const type = {
+    pause: status.paused ? 'RESUME_RECORDING' : 'PAUSE_RECORDING',
+    undo: 'UNDO_RECORDED_STEP',
+    stop: 'STOP_RECORDING'
+  }[action];
+
+  if (pickMode) sharePickMode(null);
+  try {
+    const response = await chrome.runtime.sendMessage({ type });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Wave did not respond');
+    }
+
+    if (action === 'undo') {
+      showToolbarHint(`Removed: ${response.step.type}${response.step.selector ? ` ${response.step.selector}` : ''}`);
+    }
+    updateRecordingToolbar(response.status);
+  } catch (err) {
+    showToolbarHint(err.message, true);
+  }
+}
+
+// Every frame of the tab picks, so elements inside iframes can be chosen too
+function sharePickMode(mode) {
+  setPickMode(mode);
+  chrome.runtime.sendMessage({ type: 'SET_PICK_MODE', mode }).catch(() => {});
+}
+
+function setPickMode(mode) {
+  pickMode = mode;
+  if (!recordingToolbar) return;
+
+  const { root } = recordingToolbar;
+  root.querySelectorAll('[data-action="assert"], [data-action="wait"]').forEach(button => {
+    button.classList.toggle('active', button.dataset.action === mode);
+  });
+  if (mode) {
+    showToolbarHint(`Click an element to ${mode === 'assert' ? 'assert' : 'wait for'} · Esc to cancel`, false, 0);
+  } else {
+    showToolbarHint(null);
+  }
+}
+
+function recordPickedStep(target) {
+  const mode = pickMode;
+  sharePickMode(null);
+
+  if (mode === 'assert') {
+    recordAssertion(target);
+  } else {
+    recordWait(target);
+  }
+}
+
+// duration 0 keeps the hint up until replaced
+function showToolbarHint(text, isError = false, duration = TOOLBAR_HINT_MS) {
+  if (!recordingToolbar) return;
+
+  const hint = recordingToolbar.root.querySelector('.hint');
+  clearTimeout(recordingToolbar.hintTimer);
+  hint.hidden = !text;
+  hint.textContent = text || '';
+  hint.classList.toggle('error', isError);
+  if (text && duration) {
+    recordingToolbar.hintTimer = setTimeout(() => { hint.hidden = true; }, duration);
+  }
+}
+
+function makeToolbarDraggable(bar, grip) {
+  let start = null;
+
+  grip.addEventListener('pointerdown', event => {
+    event.preventDefault();
+    const rect = bar.getBoundingClientRect();
+    start = { x: event.clientX, y: event.clientY, left: rect.left, top: rect.top };
+    grip.setPointerCapture?.(event.pointerId);
+  });
+
+  grip.addEventListener('pointermove', event => {
+    if (!start) return;
+    moveToolbar(bar, { left: start.left + event.clientX - start.x, top: start.top + event.clientY - start.y });
+  });
+
+  grip.addEventListener('pointerup', () => {
+    if (!start) return;
+    start = null;
+    const rect = bar.getBoundingClientRect();
+    chrome.storage.local.set({ [TOOLBAR_POSITION_KEY]: { left: rect.left, top: rect.top } }).catch(() => {});
+  });
+}
+
+// Kept inside the window, however it was resized since
+function moveToolbar(bar, { left, top }) {
+  const maxLeft = Math.max(0, window.innerWidth - bar.offsetWidth);
+  const maxTop = Math.max(0, window.innerHeight - bar.offsetHeight);
+  Object.assign(bar.style, {
+    left: `${Math.min(Math.max(0, left), maxLeft)}px`,
+    top: `${Math.min(Math.max(0, top), maxTop)}px`,
+    right: 'auto'
+  });
+}
+
+// ============================================================================
+// Debug Overlay
+// ============================================================================
+
+const DEBUG_OVERLAY_STYLES = `
+  .panel {
+    position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+    width: 360px; max-height: 60vh; overflow-y: auto; box-sizing: border-box;
+    padding: 12px; border-radius: 10px; background: #1f2937; color: #f9fafb;
+    font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    box-shadow: 0 8px 30px rgba(0, 0, 0, 0.35);
+  }
+  .title { font-weight: 600; font-size: 13px; margin-bottom: 4px; }
+  .status { color: #9ca3af; margin-bottom: 8px; }
+  .status.missing { color: #fca5a5; }
+  input {
+    width: 100%; box-sizing: border-box; padding: 6px 8px; border-radius: 6px;
+    border: 1px solid #4b5563; background: #111827; color: inherit; font: 11px monospace;
+  }
+  ul { list-style: none; margin: 8px 0; padding: 0; }
+  li { display: flex; align-items: center; gap: 6px; padding: 3px 0; }
+  .strategy { color: #9ca3af; min-width: 64px; }
+  .selector { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: monospace; }
+  .count { min-width: 52px; text-align: right; }
+  .count.unique { color: #86efac; }
+  .count.many { color: #fcd34d; }
+  .count.none { color: #fca5a5; }
+  .actions { display: flex; justify-content: flex-end; gap: 6px; margin-top: 8px; }
+  button {
+    padding: 4px 10px; border-radius: 6px; border: 1px solid #4b5563;
+    background: #374151; color: inherit; font: inherit; cursor: pointer;
+  }
+  button.primary { background: #2563eb; border-color: #2563eb; }
+  button:disabled { opacity: 0.5; cursor: default; }
+  .error { color: #fca5a5; margin-top: 6px; }
+  .box {
+    position: fixed; z-index: 2147483646; pointer-events: none; box-sizing: border-box;
+    border: 2px dashed #f59e0b; background: rgba(245, 158, 11, 0.12); border-radius: 3px;
+  }
+`;
+
+/**
+ * While playback is paused before a step, outline the element the step would
+ * act on and list every candidate selector with how many elements it matches.
+ * A selector applied here is used when the run continues and saved to the
+ * workflow.
+ */
+function showDebugOverlay(step, title) {
+  hideDebugOverlay();
+  if (!document.documentElement) return;
+
+  // The overlay is located with the same scope the step runs with
+  elementScope = step.scope || null;
+
+  const host = document.createElement('div');
+  host.id = 'wave-debug-overlay';
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>${DEBUG_OVERLAY_STYLES}</style>
+    <div class="box" hidden></div>
+    <div class="panel">
+      <div class="title"></div>
+      <div class="status"></div>
+      <input type="text" spellcheck="false" hidden>
+      <ul></ul>
+      <div class="error" hidden></div>
+      <div class="actions">
+        <button data-apply class="primary" hidden>Apply selector</button>
+        <button data-control="STEP_PLAYBACK">Step</button>
+        <button data-control="RESUME_PLAYBACK">Continue</button>
+        <button data-control="STOP_PLAYBACK">Stop</button>
+      </div>
+    </div>
+  `;
+  root.querySelector('.title').textContent = title;
+
+  const reposition = () => positionDebugBox(debugOverlay);
+  debugOverlay = { host, root, box: root.querySelector('.box'), element: null, reposition };
+  document.documentElement.appendChild(host);
+  window.addEventListener('scroll', reposition, true);
+  window.addEventListener('resize', reposition);
+
+  const input = root.querySelector('input');
+  const applyButton = root.querySelector('[data-apply]');
+  const errorLine = root.querySelector('.error');
+  if (step.selector !== undefined) {
+    input.hidden = false;
+    input.value = step.selector || '';
+    input.addEventListener('input', () => {
+      applyButton.hidden = !input.value.trim() || input.value.trim() === step.selector;
+      showDebugMatch(step, input.value.trim());
+    });
+  }
+
+  applyButton.addEventListener('click', async () => {
+    const selector = input.value.trim();
+    applyButton.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'UPDATE_PAUSED_STEP',
+        data: { selector, strategy: getDebugCandidates(step).find(c => c.selector === selector)?.strategy }
+      });
+      if (!response?.success) throw new Error(response?.error || 'Could not update the step');
+      step.selector = selector;
+      applyButton.hidden = true;
+      errorLine.hidden = true;
+      renderDebugCandidates(step, input, applyButton);
+    } catch (err) {
+      errorLine.textContent = err.message;
+      errorLine.hidden = false;
+    } finally {
+      applyButton.disabled = false;
+    }
+  });
+
+  root.querySelectorAll('[data-control]').forEach(button => {
+    button.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: button.dataset.control }).catch(() => {});
+    });
+  });
+
+  renderDebugCandidates(step, input, applyButton);
+  showDebugMatch(step, step.selector);
+  debugOverlay.element?.scrollIntoView({ block: 'center', behavior: 'instant' });
+  reposition();
+}
+
+function hideDebugOverlay() {
+  if (!debugOverlay) return;
+
+  window.removeEventListener('scroll', debugOverlay.reposition, true);
+  window.removeEventListener('resize', debugOverlay.reposition);
+  debugOverlay.host.remove();
+  debugOverlay = null;
+}
+
+// The recorded selector and stored fallbacks, then fresh ones for the element
+// they find, the way playback would find it
+function getDebugCandidates(step) {
+  const candidates = [];
+  const add = (strategy, selector) => {
+    if (selector && !candidates.some(c => c.selector === selector)) {
+      candidates.push({ strategy, selector });
+    }
+  };
+
+  add('recorded', step.selector);
+  (step.locators || []).forEach(locator => add(locator.strategy, locator.selector));
+
+  const element = findDebugElement(step, candidates);
+  if (element) {
+    try {
+      generateLocators(element).forEach(locator => add(locator.strategy, locator.selector));
+    } catch (e) {
+      // Leave it at the stored candidates
+    }
+  }
+  return candidates;
+}
+
+function findDebugElement(step, candidates) {
+  for (const { selector } of candidates) {
+    const element = findElementSafely(selector);
+    if (element) return element;
+  }
+  return step.fingerprint ? findByFingerprint(step.fingerprint)?.element || null : null;
+}
+
+function findElementSafely(selector) {
+  try {
+    return selector ? findElement(selector) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Visible elements a selector matches, or null when it isn't valid here
+function countDebugMatches(selector) {
+  try {
+    const matches = new Set();
+    for (const part of splitSelectorList(selector)) {
+      queryLoopElements(part).forEach(element => matches.add(element));
+    }
+    return matches.size;
+  } catch (e) {
+    return null;
+  }
+}
+
+function renderDebugCandidates(step, input, applyButton) {
+  const list = debugOverlay.root.querySelector('ul');
+  list.replaceChildren();
+
+  for (const candidate of getDebugCandidates(step)) {
+    const count = countDebugMatches(candidate.selector);
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span class="strategy"></span>
+      <span class="selector"></span>
+      <span class="count ${count === 1 ? 'unique' : count ? 'many' : 'none'}"></span>
+      <button>Use</button>
+    `;
+    item.querySelector('.strategy').textContent = candidate.strategy;
+    item.querySelector('.selector').textContent = candidate.selector;
+    item.querySelector('.selector').title = candidate.selector;
+    item.querySelector('.count').textContent = count === null ? 'invalid' : `${count} match${count !== 1 ? 'es' : ''}`;
+
+    item.addEventListener('mouseenter', () => showDebugMatch(step, candidate.selector));
+    item.addEventListener('mouseleave', () => showDebugMatch(step, input.value.trim()));
+    item.querySelector('button').addEventListener('click', () => {
+      input.value = candidate.selector;
+      applyButton.hidden = candidate.selector === step.selector;
+      showDebugMatch(step, candidate.selector);
+    });
+    list.appendChild(item);
+  }
+}
+
+// Outline what a selector finds, or what playback would fall back to
+function showDebugMatch(step, selector) {
+  const status = debugOverlay.root.querySelector('.status');
+  let element = findElementSafely(selector);
+  let healed = false;
+  if (!element && selector === step.selector) {
+    element = findDebugElement(step, getDebugCandidates(step));
+    healed = !!element;
+  }
+
+  debugOverlay.element = element;
+  status.classList.toggle('missing', !element);
+  status.textContent = !selector ? 'This step has no element'
+    : !element ? 'No visible element matches'
+    : healed ? 'The selector finds nothing, playback would fall back to the outlined element'
+    : `<${element.tagName.toLowerCase()}> ${truncate(element.textContent.trim(), 40)}`;
+  positionDebugBox(debugOverlay);
+}
+
+function positionDebugBox(overlay) {
+  if (!overlay) return;
+
+  const { box, element } = overlay;
+  if (!element?.isConnected) {
+    box.hidden = true;
+    return;
+  }
+
+  const rect = element.getBoundingClientRect();
+  box.hidden = false;
+  Object.assign(box.style, {
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`
+  });
+}
+
+// ============================================================================
+// Frames
+// ============================================================================
+
+// A frame can't see its own <iframe> element when the parent is cross-origin,
+// so each frame asks its parent over postMessage. The parent answers with its
+// own path plus a selector for the iframe, once it knows its own path.
+function handleFrameMessage(event) {
+  const data = event.data;
+  if (!data || typeof data !== 'object') return;
+
+  if (data.wave === 'frame-path-request' && event.source) {
+    const iframe = Array.from(document.querySelectorAll('iframe, frame'))
+      .find(frame => frame.contentWindow === event.source);
+    if (!iframe) return;
+
+    const reply = () => event.source.postMessage({
+      wave: 'frame-path',
+      path: [...framePath, generateSelector(iframe)]
+    }, '*');
+
+    if (framePath) {
+      reply();
+    } else {
+      // A nested frame's path starts with ours, so find ours first
+      pendingFramePathReplies.push(reply);
+      ensureFramePath();
+    }
+  } else if (data.wave === 'frame-path' && event.source === window.parent && !framePath) {
+    framePath = Array.isArray(data.path) ? data.path.map(String) : null;
+    if (!framePath) return;
+
+    pendingFramePathReplies.forEach(reply => reply());
+    pendingFramePathReplies = [];
+  }
+}
+
+// Resolves with the path, or null if the parent never answers
+function ensureFramePath() {
+  if (framePath) return Promise.resolve(framePath);
+  if (!framePathRequest) {
+    framePathRequest = requestFramePath().finally(() => { framePathRequest = null; });
+  }
+  return framePathRequest;
+}
+
+async function requestFramePath(attempts = 10) {
+  // The parent's content script may load after ours, so keep asking
+  for (let i = 0; i < attempts && !framePath; i++) {
+    window.parent.postMessage({ wave: 'frame-path-request' }, '*');
+    for (let waited = 0; waited < 500 && !framePath; waited += 50) {
+      await sleep(50);
+    }
+  }
+  return framePath;
+}
+
+// ============================================================================
+// Utilities
+// ============================================================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function throwIfCancelled() {
+  if (stepCancelled) {
+    throw new Error('Playback stopped');
+  }
+}
+
+function truncate(text, maxLength) {
+  const str = String(text ?? '');
+  return str.length > maxLength ? str.substring(0, maxLength) + '…' : str;
+}
+
+// ============================================================================
+// Init
+// ============================================================================
+
+window.addEventListener('message', handleFrameMessage);
+
 console.log('[Wave Content] Content script loaded');
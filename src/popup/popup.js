@@ -16,6 +16,15 @@ const elements = {
   panelRecording: $('#panel-recording'),
   panelPlaying: $('#panel-playing'),
 
+  // Playback progress
+  playingTitle: $('#playing-title'),
+  playingRow: $('#playing-row'),
+  playingSteps: $('#playing-steps'),
+  playingControls: $('#playing-controls'),
+  btnPlaybackPause: $('#btn-playback-pause'),
+  btnPlaybackStep: $('#btn-playback-step'),
+  btnPlaybackStop: $('#btn-playback-stop'),
+
   // Inputs & Buttons
   workflowName: $('#workflow-name'),
   btnStart: $('#btn-start'),
@@ -24,6 +33,7 @@ const elements = {
   // Recording info
   recordingName: $('#recording-name'),
   stepCount: $('#step-count'),
+  recordingSteps: $('#recording-steps'),
 
   // Workflows
   workflowsList: $('#workflows-list'),
@@ -38,21 +48,256 @@ const elements = {
 
   // Sort
   btnSort: $('#btn-sort'),
-  sortMenu: $('#sort-menu')
+  sortMenu: $('#sort-menu'),
+
+  // Step editor
+  workflowsSection: $('#workflows-section'),
+  mainFooter: $('#main-footer'),
+  panelEditor: $('#panel-editor'),
+  editorTitle: $('#editor-title'),
+  editorStepCount: $('#editor-step-count'),
+  editorSteps: $('#editor-steps'),
+  editorVariables: $('#editor-variables'),
+  editorVariableCount: $('#editor-variable-count'),
+  editorVariableRows: $('#editor-variable-rows'),
+  btnEditorAddVariable: $('#btn-editor-add-variable'),
+  editorStepDefaults: $('#editor-step-defaults'),
+  editorStepDefaultsFields: $('#editor-step-defaults-fields'),
+  btnEditorBack: $('#btn-editor-back'),
+  btnEditorAdd: $('#btn-editor-add'),
+  btnEditorCancel: $('#btn-editor-cancel'),
+  btnEditorSave: $('#btn-editor-save')
+};
+
+// Step types the editor can assign, with the fields each one uses
+// (field name -> placeholder). Fields may depend on the step itself.
+const STEP_TYPES = {
+  navigate: { label: 'Navigate', fields: { value: 'https://example.com' } },
+  click: { label: 'Click', fields: { selector: 'CSS selector' } },
+  dblclick: { label: 'Double-click', fields: { selector: 'CSS selector' } },
+  contextmenu: { label: 'Right-click', fields: { selector: 'CSS selector' } },
+  hover: { label: 'Hover', fields: { selector: 'CSS selector' } },
+  input: { label: 'Type', fields: { selector: 'CSS selector', value: 'Text to enter' } },
+  wait: { label: 'Wait', fields: { value: 'Milliseconds' } },
+  waitFor: { label: 'Wait for', fields: getWaitForFields },
+  scroll: { label: 'Scroll', fields: { selector: 'CSS selector (empty for the page)', value: 'x,y or intoView' } },
+  dragAndDrop: { label: 'Drag and drop', fields: { selector: 'Drag (CSS selector)', target: 'Drop on (CSS selector)' } },
+  upload: { label: 'Upload files', fields: { selector: 'File input or drop zone (CSS selector)' } },
+  assert: { label: 'Assert', fields: getAssertionFields },
+  extract: { label: 'Extract', fields: getExtractFields },
+  keydown: { label: 'Press key', fields: { selector: 'CSS selector (empty for focused element)', value: 'Key (Enter, Escape, Control+K)' } },
+  switchTab: { label: 'Switch tab', fields: { value: 'Tab alias (main, tab2...)' } },
+  closeTab: { label: 'Close tab', fields: { value: 'Tab alias (tab2...)' } },
+  if: { label: 'If', fields: getIfFields },
+  repeat: { label: 'Repeat', fields: { value: 'Times' } },
+  forEach: { label: 'For each', fields: getForEachFields },
+  callWorkflow: { label: 'Call workflow', fields: { workflowId: '', value: 'Variables to pass, one name=value per line' } }
+};
+
+// {{name}} placeholders, matching the background's resolver
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const BUILTIN_VARIABLES = ['timestamp', 'uuid', 'randomEmail'];
+
+// Fields edited with a dropdown instead of a text input
+const STEP_FIELD_OPTIONS = {
+  assertion: {
+    exists: 'Element exists',
+    absent: 'Element absent',
+    textContains: 'Text contains',
+    textEquals: 'Text equals',
+    valueEquals: 'Input value equals',
+    urlMatches: 'URL matches',
+    titleMatches: 'Page title matches'
+  },
+  condition: {
+    visible: 'Element visible',
+    hidden: 'Element hidden',
+    enabled: 'Element enabled',
+    networkIdle: 'Network idle',
+    domStable: 'Page stops changing',
+    urlChange: 'URL changes'
+  },
+  source: {
+    elements: 'Matched elements',
+    list: 'List of values'
+  },
+  extract: {
+    text: 'Text',
+    attribute: 'Attribute',
+    value: 'Input value',
+    list: 'List of elements',
+    table: 'Table'
+  }
+};
+
+// If steps keep their check in `condition` too, with their own choices
+const IF_CONDITIONS = {
+  exists: 'Element exists',
+  textMatches: 'Text matches',
+  urlMatches: 'URL matches',
+  variableEquals: 'Variable equals'
+};
+
+// Step failure handling. Empty fields fall back to the workflow's defaults,
+// then to these, matching the background
+const DEFAULT_STEP_POLICY = { timeout: 10000, retries: 0, onFailure: 'abort' };
+const FAILURE_POLICY_OPTIONS = {
+  abort: 'Stop the run',
+  skip: 'Skip the step',
+  continue: 'Continue, mark soft-failed'
+};
+
+function getAssertionFields(step) {
+  switch (step.assertion) {
+    case 'exists':
+    case 'absent':
+      return { assertion: '', selector: 'CSS selector' };
+    case 'urlMatches':
+    case 'titleMatches':
+      return { assertion: '', value: 'Pattern (* wildcard or /regex/)' };
+    default:
+      return { assertion: '', selector: 'CSS selector', value: 'Expected value' };
+  }
+}
+
+function getExtractFields(step) {
+  return step.extract === 'attribute'
+    ? { extract: '', selector: 'CSS selector', value: 'Attribute (href, src...)', variable: 'Save as variable' }
+    : { extract: '', selector: 'CSS selector', variable: 'Save as variable' };
+}
+
+function getWaitForFields(step) {
+  switch (step.condition) {
+    case 'networkIdle':
+    case 'domStable':
+      return { condition: '', value: 'Quiet for ms (default 500)' };
+    case 'urlChange':
+      return { condition: '', value: 'To pattern (optional, * wildcard or /regex/)' };
+    default:
+      return { condition: '', selector: 'CSS selector' };
+  }
+}
+
+function getIfFields(step) {
+  switch (step.condition) {
+    case 'textMatches':
+      return { condition: '', selector: 'CSS selector', value: 'Pattern (* wildcard or /regex/)' };
+    case 'urlMatches':
+      return { condition: '', value: 'Pattern (* wildcard or /regex/)' };
+    case 'variableEquals':
+      return { condition: '', variable: 'Variable name', value: 'Expected value' };
+    default:
+      return { condition: '', selector: 'CSS selector' };
+  }
+}
+
+function getForEachFields(step) {
+  return step.source === 'list'
+    ? { source: '', value: 'Values, one per line or comma-separated', variable: 'Item variable (default item)' }
+    : { source: '', selector: 'CSS selector', variable: 'Item variable (default item)' };
+}
+
+function getFieldOptions(step, field) {
+  if (field === 'workflowId') return getCallableWorkflowOptions(step);
+  return step.type === 'if' && field === 'condition' ? IF_CONDITIONS : STEP_FIELD_OPTIONS[field];
+}
+
+// Any other workflow can be called; the background stops calls that loop back
+function getCallableWorkflowOptions(step) {
+  const options = { '': 'Choose a workflow...' };
+  const callable = state.workflows
+    .filter(w => w.id !== state.editor?.workflowId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const workflow of callable) {
+    options[workflow.id] = workflow.status === 'archived' ? `${workflow.name} (archived)` : workflow.name;
+  }
+  if (step.workflowId && !options[step.workflowId]) {
+    options[step.workflowId] = 'Deleted workflow';
+  }
+  return options;
+}
+
+// Workflows with a step that calls this one, nested steps included
+function getWorkflowDependents(workflowId) {
+  return state.workflows.filter(w =>
+    w.id !== workflowId &&
+    flattenSteps(w.steps).some(step => step.type === 'callWorkflow' && step.workflowId === workflowId)
+  );
+}
+
+function getStepFields(step) {
+  const stepType = STEP_TYPES[step.type];
+  if (!stepType) return { selector: 'CSS selector', value: 'Value' };
+  return typeof stepType.fields === 'function' ? stepType.fields(step) : stepType.fields;
+}
+
+// if, repeat and forEach steps hold nested steps, shown and run inside them
+const CONTROL_STEP_TYPES = ['if', 'repeat', 'forEach'];
+const STEP_BRANCHES = {
+  if: { steps: 'Then', elseSteps: 'Else' },
+  repeat: { steps: 'Do' },
+  forEach: { steps: 'Do' }
 };
 
+// Every step, nested ones included, depth first
+function flattenSteps(steps) {
+  return (steps || []).flatMap(step => [step, ...flattenSteps(step.steps), ...flattenSteps(step.elseSteps)]);
+}
+
+// Steps are addressed by path, as in run history: "2" is the third step,
+// "2.steps.0" the first inside it and "2.elseSteps.0" the first of its else
+// branch. A list path leaves off the last index; "" is the top level
+function getStepList(steps, listPath) {
+  if (!listPath) return steps;
+
+  const parts = listPath.split('.');
+  const branch = parts.pop();
+  const parent = getStepAtPath(steps, parts.join('.'));
+  if (!parent) return null;
+  // Imported blocks may lack a branch until something is added to it
+  parent[branch] = parent[branch] || [];
+  return parent[branch];
+}
+
+function getStepAtPath(steps, path) {
+  const { list, index } = splitStepPath(steps, path);
+  return list?.[index] || null;
+}
+
+function splitStepPath(steps, path) {
+  const parts = String(path).split('.');
+  const index = parseInt(parts.pop());
+  return { list: getStepList(steps, parts.join('.')), index, listPath: parts.join('.') };
+}
+
+// Selectors inside a forEach over elements can start from the current one
+function isScopedSelector(selector) {
+  return typeof selector === 'string' && selector.trim().startsWith(':scope');
+}
+
+// "2.elseSteps.0" -> "3.else.1", and "2.call.0" (a called workflow's step) -> "3.call.1"
+function formatStepPath(path) {
+  return String(path).split('.')
+    .filter(part => part !== 'steps')
+    .map(part => part === 'elseSteps' ? 'else' : part === 'call' ? part : parseInt(part) + 1)
+    .join('.');
+}
+
 // ============================================================================
 // State
 // ============================================================================
 
 let state = {
   isRecording: false,
+  recordingPaused: false,
   isPlaying: false,
+  playback: null, // progress of the run being played, from the background
   currentWorkflow: null,
   workflows: [],
   showArchived: false,
   schedules: {},
-  sortBy: 'recent' // 'recent', 'frequency', 'alphabetical'
+  sortBy: 'recent', // 'recent', 'frequency', 'alphabetical'
+  editor: null // { workflowId, steps, variables, stepDefaults, openOptions, secretNames, secretValues, storedFileIds, newFiles, dirty } while the step editor is open
 };
 
 // ============================================================================
@@ -69,10 +314,15 @@ async function init() {
   await loadWorkflows();
   await checkCurrentPage();
 
-  // Poll for step count updates while recording
+  // Steps arrive as RECORDING_PROGRESS; this only notices a recording
+  // stopped from the toolbar on the page
   setInterval(async () => {
-    if (state.isRecording) {
+    if (!state.isRecording) return;
+
+    const response = await sendMessage({ type: 'GET_STATE' }).catch(() => null);
+    if (response && !response.isRecording) {
       await refreshState();
+      await loadWorkflows();
     }
   }, 1000);
 }
@@ -141,7 +391,9 @@ async function refreshState() {
   try {
     const response = await sendMessage({ type: 'GET_STATE' });
     state.isRecording = response.isRecording;
+    state.recordingPaused = response.recordingPaused;
     state.currentWorkflow = response.currentWorkflow;
+    state.playback = response.playback || null;
     updateUI();
   } catch (err) {
     console.error('Failed to refresh state:', err);
@@ -211,6 +463,39 @@ function setupEventListeners() {
       closeSortMenu();
     }
   });
+
+  // Step editor
+  elements.btnEditorBack.addEventListener('click', closeStepEditor);
+  elements.btnEditorCancel.addEventListener('click', closeStepEditor);
+  elements.btnEditorSave.addEventListener('click', saveStepEditor);
+  elements.btnEditorAdd.addEventListener('click', () => addEditorStep());
+  elements.btnEditorAddVariable.addEventListener('click', addEditorVariable);
+
+  // Playback controls
+  elements.btnPlaybackPause.addEventListener('click', () => {
+    controlPlayback(state.playback?.status === 'paused' ? 'RESUME_PLAYBACK' : 'PAUSE_PLAYBACK');
+  });
+  elements.btnPlaybackStep.addEventListener('click', () => controlPlayback('STEP_PLAYBACK'));
+  elements.btnPlaybackStop.addEventListener('click', () => controlPlayback('STOP_PLAYBACK'));
+
+  // Recorded steps
+  elements.recordingSteps.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-delete-recorded-step]');
+    if (btn) deleteRecordedStep(parseInt(btn.dataset.deleteRecordedStep));
+  });
+
+  // The background reports each step as it runs, and null once the run ends.
+  // While recording, it sends the step list whenever a step is added or removed
+  chrome.runtime.onMessage.addListener(message => {
+    if (message.type === 'PLAYBACK_PROGRESS') {
+      state.playback = message.data;
+      updateUI();
+    } else if (message.type === 'RECORDING_PROGRESS' && state.isRecording && state.currentWorkflow) {
+      state.currentWorkflow.steps = message.data.steps;
+      state.recordingPaused = message.data.paused;
+      updateUI();
+    }
+  });
 }
 
 // ============================================================================
@@ -278,7 +563,8 @@ async function handleStopRecording() {
 // Workflow Actions
 // ============================================================================
 
-async function playWorkflow(workflowId) {
+// debug is { startAt, pauseAt } from the Debug dialog
+async function playWorkflow(workflowId, variables, debug = {}) {
   const btn = $(`[data-play="${workflowId}"]`);
 
   try {
@@ -291,14 +577,26 @@ async function playWorkflow(workflowId) {
 
     const response = await sendMessage({
       type: 'PLAY_WORKFLOW',
-      data: { workflowId }
-    });
-
-    if (response.success) {
+      data: { workflowId, variables, ...debug }
+    }, PLAYBACK_RESPONSE_TIMEOUT_MS);
+
+    const softFailed = response.softFailures?.length || 0;
+    if (response.success && softFailed > 0) {
+      showError(`Workflow completed, but ${softFailed} step${softFailed !== 1 ? 's' : ''} soft-failed: ${response.softFailures.map(f => `${formatStepPath(f.path ?? f.stepIndex)}${f.iteration ? ` #${f.iteration}` : ''}`).join(', ')}`);
+    } else if (response.success && response.extracted > 0) {
+      showSuccess(`Workflow completed, ${response.extracted} value${response.extracted !== 1 ? 's' : ''} extracted. Download them from Run history`);
+    } else if (response.success) {
       showSuccess('Workflow completed successfully!');
+    } else if (response.stopped) {
+      showSuccess('Playback stopped');
     } else {
       showError('Playback failed: ' + (response.error || 'Unknown error'));
     }
+
+    // Offer to keep the fallback locators that rescued broken selectors
+    if (response.healed?.length > 0) {
+      showHealedLocatorsDialog(workflowId, response.healed);
+    }
   } catch (err) {
     showError('Error: ' + err.message);
   } finally {
@@ -332,7 +630,8 @@ async function incrementUsageCount(workflowId) {
 }
 
 async function deleteWorkflow(workflowId) {
-  if (!confirm('Delete this workflow?')) return;
+  const warning = getDependentsWarning(workflowId);
+  if (!confirm(`Delete this workflow?${warning}${warning ? '\n\nTheir Call workflow steps will fail.' : ''}`)) return;
 
   try {
     const response = await sendMessage({
@@ -355,6 +654,10 @@ async function archiveWorkflow(workflowId, archive = true) {
     const workflow = state.workflows.find(w => w.id === workflowId);
     if (!workflow) return;
 
+    // Archived workflows can still be called, but are easy to forget about
+    const warning = archive ? getDependentsWarning(workflowId) : '';
+    if (warning && !confirm(`Archive this workflow?${warning}`)) return;
+
     const response = await sendMessage({
       type: 'SAVE_WORKFLOW',
       data: {
@@ -373,6 +676,12 @@ async function archiveWorkflow(workflowId, archive = true) {
   }
 }
 
+function getDependentsWarning(workflowId) {
+  const dependents = getWorkflowDependents(workflowId);
+  if (dependents.length === 0) return '';
+  return `\n\nCalled by ${dependents.length} workflow${dependents.length !== 1 ? 's' : ''}:\n${dependents.map(w => `• ${w.name}`).join('\n')}`;
+}
+
 async function toggleSlowMode(workflowId, enabled) {
   try {
     const workflow = state.workflows.find(w => w.id === workflowId);
@@ -402,200 +711,942 @@ function handleToggleArchived() {
 }
 
 // ============================================================================
-// UI Updates
+// Variables
 // ============================================================================
 
-function updateUI() {
-  // Hide all panels first
-  elements.panelIdle.classList.add('hidden');
-  elements.panelRecording.classList.add('hidden');
-  elements.panelPlaying.classList.add('hidden');
+// Placeholders the steps use, leaving out those a loop sets for its nested
+// steps and those extract steps set
+function findStepVariables(steps, bound = new Set(getExtractedVariableNames(steps))) {
+  const names = new Set();
+  for (const step of steps || []) {
+    // Upload steps can template their files' names and text contents too
+    const texts = [
+      step.value, step.selector, step.target,
+      ...(step.files || []).flatMap(file => [file.name, file.content])
+    ];
+    for (const text of texts) {
+      if (typeof text !== 'string') continue;
+      for (const match of text.matchAll(VARIABLE_PATTERN)) {
+        if (!bound.has(match[1])) names.add(match[1]);
+      }
+    }
 
-  if (state.isPlaying) {
-    elements.panelPlaying.classList.remove('hidden');
-  } else if (state.isRecording) {
-    elements.panelRecording.classList.remove('hidden');
+    if (step.type === 'if' && step.condition === 'variableEquals' && step.variable && !bound.has(step.variable)) {
+      names.add(step.variable);
+    }
 
-    if (state.currentWorkflow) {
-      elements.recordingName.textContent = state.currentWorkflow.name;
-      const count = state.currentWorkflow.steps?.length || 0;
-      elements.stepCount.textContent = `${count} step${count !== 1 ? 's' : ''}`;
+    // Loops set {{index}}, and forEach its item variable
+    const inner = step.type === 'repeat' || step.type === 'forEach'
+      ? new Set([...bound, 'index', ...(step.type === 'forEach' ? [getLoopVariable(step)] : [])])
+      : bound;
+    for (const name of findStepVariables([...(step.steps || []), ...(step.elseSteps || [])], inner)) {
+      names.add(name);
     }
-  } else {
-    elements.panelIdle.classList.remove('hidden');
-    elements.workflowName.value = '';
   }
+  return [...names];
 }
 
-function renderWorkflows() {
-  // Filter workflows based on archived state
-  let filteredWorkflows = state.workflows.filter(w => {
-    const isArchived = w.status === 'archived';
-    return state.showArchived ? isArchived : !isArchived;
-  });
+function getExtractedVariableNames(steps) {
+  return flattenSteps(steps)
+    .filter(step => step.type === 'extract' && step.variable?.trim())
+    .map(step => step.variable.trim());
+}
 
-  // Sort workflows
-  filteredWorkflows = sortWorkflows(filteredWorkflows);
+function getLoopVariable(step) {
+  return step.variable?.trim() || 'item';
+}
 
-  const totalCount = state.workflows.length;
-  const activeCount = state.workflows.filter(w => w.status !== 'archived').length;
-  const archivedCount = totalCount - activeCount;
+// A JSON array, one value per line, or comma-separated values, as the background reads them
+function parseLoopList(value) {
+  const text = String(value ?? '').trim();
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) {
+        return list.map(item => typeof item === 'string' ? item : JSON.stringify(item));
+      }
+    } catch (e) {
+      // Not JSON after all, split it below
+    }
+  }
 
-  elements.workflowCount.textContent = state.showArchived ? archivedCount : activeCount;
+  return text.split(text.includes('\n') ? '\n' : ',').map(item => item.trim()).filter(Boolean);
+}
 
-  if (filteredWorkflows.length === 0) {
-    elements.workflowsList.innerHTML = '';
-    elements.emptyState.classList.remove('hidden');
-    const mainText = elements.emptyState.querySelector('p:first-child');
-    const hintText = elements.emptyState.querySelector('.empty-hint');
-    if (state.showArchived) {
-      if (mainText) mainText.textContent = 'No archived workflows';
-      if (hintText) hintText.textContent = 'Archive workflows to see them here';
-    } else {
-      if (mainText) mainText.textContent = 'No workflows yet';
-      if (hintText) hintText.textContent = 'Record your first workflow';
+// One name=value per line, as the background reads a call step's variables
+function parseCallVariables(text) {
+  const variables = {};
+  for (const line of String(text ?? '').split('\n')) {
+    if (!line.trim()) continue;
+
+    const separator = line.indexOf('=');
+    const name = line.slice(0, separator).trim();
+    if (separator < 0 || !/^\w+$/.test(name)) {
+      throw new Error(`Invalid variable "${line.trim()}", expected name=value`);
     }
-    return;
+    variables[name] = line.slice(separator + 1).trim();
   }
+  return variables;
+}
 
-  elements.emptyState.classList.add('hidden');
+// Workflows a workflow calls, directly or through others
+function getCalledWorkflows(workflow, seen = new Set([workflow.id])) {
+  const called = [];
+  for (const step of flattenSteps(workflow.steps)) {
+    if (step.type !== 'callWorkflow' || seen.has(step.workflowId)) continue;
 
-  elements.workflowsList.innerHTML = filteredWorkflows
-    .map(workflow => {
-      const isArchived = workflow.status === 'archived';
-      const schedule = state.schedules[workflow.id];
-      const isScheduled = schedule && schedule.intervalMinutes > 0;
-      const scheduleStatus = schedule?.lastStatus;
-      const usageCount = workflow.usageCount || 0;
+    const callee = state.workflows.find(w => w.id === step.workflowId);
+    if (!callee) continue;
+    seen.add(callee.id);
+    called.push(callee, ...getCalledWorkflows(callee, seen));
+  }
+  return called;
+}
 
-      const isSlowMode = workflow.slowMode || false;
+function getWorkflowVariableNames(workflow) {
+  // Declared variables first, then any placeholder the steps use without a default
+  const names = new Set(Object.keys(workflow.variables || {}));
+  for (const name of findStepVariables(workflow.steps)) {
+    if (!BUILTIN_VARIABLES.includes(name)) names.add(name);
+  }
+  return [...names];
+}
 
-      return `
-      <div class="workflow-item ${isArchived ? 'archived' : ''}" data-id="${workflow.id}">
-        <div class="workflow-info">
-          <div class="workflow-name" data-edit-name="${workflow.id}" title="Click to edit name">
-            ${escapeHtml(workflow.name)}
-            ${isScheduled ? `<span class="schedule-badge ${scheduleStatus || ''}" title="${getScheduleTitle(schedule)}">&#9200;</span>` : ''}
-          </div>
-          <div class="workflow-meta">${workflow.steps.length} steps${usageCount > 0 ? ` · ${usageCount} runs` : ''} · ${formatDate(workflow.updatedAt)}</div>
-        </div>
-        <div class="workflow-actions">
-          ${!isArchived ? `
-          <label class="slow-mode-toggle" title="Slow mode (longer delays)">
-            <input type="checkbox" data-slow-mode="${workflow.id}" ${isSlowMode ? 'checked' : ''}>
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <circle cx="12" cy="12" r="10"/>
-              <path d="M12 6v6l4 2"/>
-            </svg>
-          </label>
-          <button class="btn btn-success" data-play="${workflow.id}" title="Run">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M8 5v14l11-7z"/>
-            </svg>
-          </button>
-          <button class="btn btn-ghost ${isScheduled ? 'active' : ''}" data-schedule="${workflow.id}" title="${isScheduled ? 'Edit schedule' : 'Schedule health check'}">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <circle cx="12" cy="12" r="10"/>
-              <path d="M12 6v6l4 2"/>
-            </svg>
-          </button>
-          <button class="btn btn-ghost" data-archive="${workflow.id}" data-is-archived="${isArchived}" title="Archive">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M21 8v13H3V8M1 3h22v5H1zM10 12h4"/>
-            </svg>
-          </button>
-          ` : `
-          <button class="btn btn-ghost" data-archive="${workflow.id}" data-is-archived="${isArchived}" title="Restore">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6"/>
-            </svg>
-          </button>
-          <button class="btn btn-ghost danger" data-delete="${workflow.id}" title="Delete permanently">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
-            </svg>
-          </button>
-          `}
+function showRunWithDialog(workflowId) {
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  if (!workflow) return;
+
+  const defaults = workflow.variables || {};
+  const names = getWorkflowVariableNames(workflow);
+
+  const modal = openModal(`Run "${workflow.name}" with...`, `
+    <form class="run-with-form">
+      ${names.map(name => `
+        <div class="input-group">
+          <label class="label" for="run-var-${escapeHtml(name)}">${escapeHtml(name)}</label>
+          <input
+            type="text"
+            id="run-var-${escapeHtml(name)}"
+            class="input"
+            data-variable="${escapeHtml(name)}"
+            value="${escapeHtml(defaults[name] ?? '')}"
+            autocomplete="off"
+            spellcheck="false"
+          >
         </div>
+      `).join('')}
+      <div class="modal-actions">
+        <button type="button" class="btn btn-ghost btn-small" data-modal-close>Cancel</button>
+        <button type="submit" class="btn btn-success btn-small">Run</button>
       </div>
-    `;})
-    .join('');
+    </form>
+  `);
 
-  // Add event listeners
-  $$('[data-play]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      playWorkflow(btn.dataset.play);
-    });
-  });
+  modal.querySelector('[data-variable]')?.focus();
 
-  $$('[data-schedule]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      showScheduleMenu(btn.dataset.schedule, btn);
-    });
-  });
+  modal.querySelector('form').addEventListener('submit', (e) => {
+    e.preventDefault();
 
-  $$('[data-archive]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const isArchived = btn.dataset.isArchived === 'true';
-      archiveWorkflow(btn.dataset.archive, !isArchived);
+    const variables = {};
+    modal.querySelectorAll('[data-variable]').forEach(input => {
+      variables[input.dataset.variable] = input.value;
     });
-  });
 
-  $$('[data-delete]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      deleteWorkflow(btn.dataset.delete);
-    });
+    closeModal();
+    playWorkflow(workflowId, variables);
   });
+}
 
-  $$('[data-edit-name]').forEach(el => {
-    el.addEventListener('click', (e) => {
-      e.stopPropagation();
-      startEditName(el.dataset.editName, el);
-    });
-  });
+// ============================================================================
+// Datasets
+// ============================================================================
 
-  $$('[data-slow-mode]').forEach(input => {
-    input.addEventListener('change', (e) => {
-      e.stopPropagation();
-      toggleSlowMode(input.dataset.slowMode, input.checked);
-    });
-  });
-}
+const DATASET_PREVIEW_ROWS = 5;
 
-function sortWorkflows(workflows) {
-  switch (state.sortBy) {
-    case 'frequency':
-      return [...workflows].sort((a, b) => {
-        const aCount = a.usageCount || 0;
-        const bCount = b.usageCount || 0;
-        if (bCount !== aCount) return bCount - aCount;
-        // Tie-breaker: most recently used
-        return new Date(b.lastUsedAt || 0) - new Date(a.lastUsedAt || 0);
-      });
+// A CSV file with a header row, or a JSON array of objects. Columns become the
+// variable names each row binds, and every value is a string like any other variable
+function parseDatasetFile(text, fileName) {
+  const content = text.replace(/^\uFEFF/, '');
 
-    case 'alphabetical':
-      return [...workflows].sort((a, b) =>
-        a.name.toLowerCase().localeCompare(b.name.toLowerCase())
-      );
+  let headers;
+  let records;
+  if (/\.json$/i.test(fileName) || content.trimStart().startsWith('[')) {
+    const items = JSON.parse(content);
+    if (!Array.isArray(items) || !items.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      throw new Error('JSON datasets must be an array of objects');
+    }
+    headers = [...new Set(items.flatMap(item => Object.keys(item)))];
+    records = items.map(item => headers.map(header => formatDatasetValue(item[header])));
+  } else {
+    [headers = [], ...records] = parseCsv(content);
+  }
 
-    case 'recent':
-    default:
-      return [...workflows].sort((a, b) =>
-        new Date(b.updatedAt) - new Date(a.updatedAt)
-      );
+  const columns = getDatasetColumnNames(headers);
+  if (columns.length === 0) {
+    throw new Error('Dataset has no columns');
+  }
+
+  const rows = records.map(record => Object.fromEntries(columns.map((column, i) => [column, record[i] ?? ''])));
+  if (rows.length === 0) {
+    throw new Error('Dataset has no rows');
   }
+
+  return { name: fileName, headers: headers.map(header => String(header).trim()), columns, rows };
 }
 
-function formatDate(isoString) {
-  if (!isoString) return '';
-  const date = new Date(isoString);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+function formatDatasetValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Headers like "First name" can't be used in {{...}}, so they become First_name
+function getDatasetColumnNames(headers) {
+  const taken = new Set();
+  return headers.map((header, i) => {
+    const base = String(header).trim().replace(/\W+/g, '_').replace(/^_+|_+$/g, '') || `column${i + 1}`;
+    let name = base;
+    for (let n = 2; taken.has(name); n++) {
+      name = `${base}_${n}`;
+    }
+    taken.add(name);
+    return name;
+  });
+}
+
+// Quoted fields may hold delimiters, quotes ("") and line breaks. Spreadsheets in
+// some locales save with semicolons or tabs, so the header line picks the delimiter
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines, usually a trailing one
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Text cells starting with = + - @ get a leading ' so spreadsheets don't run them as formulas
+function toCsv(rows) {
+  return rows
+    .map(cells => cells.map(cell => {
+      let text = String(cell ?? '');
+      if (typeof cell === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','))
+    .join('\r\n');
+}
+
+async function showDatasetDialog(workflowId) {
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  if (!workflow) return;
+
+  let dataset;
+  try {
+    const response = await sendMessage({ type: 'GET_DATASET', data: { workflowId } });
+    if (!response.success) throw new Error(response.error);
+    dataset = response.dataset;
+  } catch (err) {
+    showError('Failed to load dataset: ' + err.message);
+    return;
+  }
+
+  const fileInput = (label) => `
+    <label class="btn btn-ghost btn-small">
+      ${label}
+      <input type="file" accept=".csv,.json,.txt,text/csv,application/json" hidden data-dataset-file>
+    </label>
+  `;
+
+  if (!dataset) {
+    const modal = openModal(`Dataset · ${workflow.name}`, `
+      <div class="empty-state">
+        <p>No dataset attached</p>
+        <p class="empty-hint">Attach a CSV or JSON file to run this workflow once per row, with each column as a {{variable}}</p>
+      </div>
+      <div class="modal-actions">
+        ${fileInput('Choose file')}
+      </div>
+    `);
+    setupDatasetFileInput(modal, workflowId);
+    return;
+  }
+
+  // Columns no step uses, and variables the rows leave to the workflow's defaults
+  const used = new Set(findStepVariables(workflow.steps).filter(name => !BUILTIN_VARIABLES.includes(name)));
+  const missing = [...used].filter(name => !dataset.columns.includes(name));
+  const { lastRun } = dataset;
+  const failed = lastRun ? lastRun.results.filter(result => result.status !== 'success').length : 0;
+
+  const modal = openModal(`Dataset · ${workflow.name}`, `
+    <div class="dataset-summary">
+      <span class="dataset-name" title="${escapeHtml(dataset.name)}">${escapeHtml(dataset.name)}</span>
+      <span class="editor-hint">${dataset.rows.length} row${dataset.rows.length !== 1 ? 's' : ''}</span>
+    </div>
+    <div class="dataset-columns">
+      ${dataset.columns.map((column, i) => `
+        <span class="dataset-column ${used.has(column) ? '' : 'unused'}" title="${escapeHtml(`${dataset.headers[i] ?? column}${used.has(column) ? '' : ' · not used by any step'}`)}">{{${escapeHtml(column)}}}</span>
+      `).join('')}
+    </div>
+    ${missing.length > 0 ? `<p class="editor-hint">Not in the dataset, so every row uses the default: ${missing.map(name => `{{${escapeHtml(name)}}}`).join(', ')}</p>` : ''}
+    ${lastRun ? `
+      <div class="history-rate dataset-rate">
+        <span class="history-rate-value">${lastRun.results.length - failed}/${lastRun.results.length}</span>
+        <span class="history-rate-label">rows passed · ${escapeHtml(formatRunTime(lastRun))}</span>
+      </div>
+      ${renderDatasetResults(dataset)}
+    ` : renderDatasetPreview(dataset)}
+    <div class="modal-actions">
+      ${fileInput('Replace')}
+      <button class="btn btn-ghost btn-small danger" data-remove-dataset>Remove</button>
+      ${lastRun ? '<button class="btn btn-ghost btn-small" data-export-results>Export results</button>' : ''}
+      <button class="btn btn-success btn-small" data-run-dataset ${workflow.status === 'archived' ? 'disabled' : ''}>Run ${dataset.rows.length} row${dataset.rows.length !== 1 ? 's' : ''}</button>
+    </div>
+  `);
+
+  setupDatasetFileInput(modal, workflowId);
+
+  modal.querySelector('[data-remove-dataset]').addEventListener('click', async () => {
+    if (!confirm('Remove the dataset and its results from this workflow?')) return;
+
+    try {
+      const response = await sendMessage({ type: 'SAVE_DATASET', data: { workflowId, dataset: null } });
+      if (!response.success) throw new Error(response.error);
+      closeModal();
+      await loadWorkflows();
+      showSuccess('Dataset removed');
+    } catch (err) {
+      showError('Failed to remove dataset: ' + err.message);
+    }
+  });
+
+  modal.querySelector('[data-export-results]')?.addEventListener('click', () => {
+    exportDatasetResults(workflow, dataset);
+  });
+
+  modal.querySelector('[data-run-dataset]').addEventListener('click', () => {
+    closeModal();
+    playDataset(workflowId);
+  });
+}
+
+function setupDatasetFileInput(modal, workflowId) {
+  modal.querySelector('[data-dataset-file]').addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const dataset = parseDatasetFile(await file.text(), file.name);
+      const response = await sendMessage({ type: 'SAVE_DATASET', data: { workflowId, dataset } });
+      if (!response.success) throw new Error(response.error);
+
+      await loadWorkflows();
+      showSuccess(`Dataset attached: ${dataset.rows.length} row${dataset.rows.length !== 1 ? 's' : ''}`);
+      showDatasetDialog(workflowId);
+    } catch (err) {
+      showError(err instanceof SyntaxError ? 'Invalid JSON file' : 'Failed to attach dataset: ' + err.message);
+    }
+  });
+}
+
+function renderDatasetPreview(dataset) {
+  const rows = dataset.rows.slice(0, DATASET_PREVIEW_ROWS);
+
+  return `
+    <div class="dataset-table-wrap">
+      <table class="dataset-table">
+        <tr>${dataset.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+        ${rows.map(row => `
+          <tr>${dataset.columns.map(column => `<td title="${escapeHtml(row[column] ?? '')}">${escapeHtml(row[column] ?? '')}</td>`).join('')}</tr>
+        `).join('')}
+      </table>
+    </div>
+    ${dataset.rows.length > rows.length ? `<p class="editor-hint">and ${dataset.rows.length - rows.length} more</p>` : ''}
+  `;
+}
+
+// Rows with their status, identified by the first column's value
+function renderDatasetResults(dataset) {
+  const [firstColumn] = dataset.columns;
+
+  return `
+    <div class="dataset-table-wrap">
+      <table class="dataset-table">
+        <tr><th class="dataset-row-index">#</th><th>${escapeHtml(firstColumn)}</th><th>Result</th></tr>
+        ${dataset.lastRun.results.map(result => {
+          const value = dataset.rows[result.row - 1]?.[firstColumn] ?? '';
+          const passed = result.status === 'success';
+          const dotClass = passed ? 'success' : result.status === 'stopped' ? 'stopped' : 'failed';
+          return `
+            <tr class="${passed ? '' : 'failed'}">
+              <td class="dataset-row-index">${result.row}</td>
+              <td title="${escapeHtml(value)}">${escapeHtml(value)}</td>
+              <td title="${escapeHtml(result.error || '')}"><span class="status-dot ${dotClass}"></span> ${escapeHtml(passed ? formatDuration(result.duration) : result.error || 'Failed')}</td>
+            </tr>
+          `;
+        }).join('')}
+      </table>
+    </div>
+  `;
+}
+
+function exportDatasetResults(workflow, dataset) {
+  const header = ['row', 'status', 'error', 'duration_ms', ...dataset.columns];
+  const lines = dataset.lastRun.results.map(result => {
+    const row = dataset.rows[result.row - 1] || {};
+    return [result.row, result.status, result.error || '', result.duration, ...dataset.columns.map(column => row[column])];
+  });
+
+  downloadFile(toCsv([header, ...lines]), `wave-results-${slugify(workflow.name)}.csv`, 'text/csv');
+}
+
+async function playDataset(workflowId) {
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  if (!workflow?.dataset) return;
+
+  try {
+    state.isPlaying = true;
+    updateUI();
+
+    await incrementUsageCount(workflowId);
+
+    const response = await sendMessage({
+      type: 'PLAY_DATASET',
+      data: { workflowId }
+    }, PLAYBACK_RESPONSE_TIMEOUT_MS);
+
+    if (!response.success) {
+      showError('Playback failed: ' + (response.error || 'Unknown error'));
+      return;
+    }
+
+    const total = response.results.length;
+    if (response.stopped) {
+      showSuccess(`Playback stopped after ${total} row${total !== 1 ? 's' : ''}`);
+    } else if (response.failed > 0) {
+      showError(`${response.failed} of ${total} rows failed`);
+    } else {
+      showSuccess(`All ${total} rows passed`);
+    }
+    showDatasetDialog(workflowId);
+  } catch (err) {
+    showError('Error: ' + err.message);
+  } finally {
+    state.isPlaying = false;
+    updateUI();
+  }
+}
+
+// ============================================================================
+// Recording Progress
+// ============================================================================
+
+const RECORDED_TEXT_LENGTH = 30;
+
+let renderedRecordingSteps = null; // the step list as last rendered, to skip unchanged updates
+
+// Plain-words summary of a recorded step: "Click button 'Sign in'"
+function describeRecordedStep(step) {
+  const text = step.text?.replace(/\s+/g, ' ');
+  const shortText = text?.length > RECORDED_TEXT_LENGTH ? `${text.slice(0, RECORDED_TEXT_LENGTH)}…` : text;
+  const target = shortText ? `${step.tagName || 'element'} '${shortText}'` : step.selector;
+
+  switch (step.type) {
+    case 'click':
+    case 'dblclick':
+    case 'contextmenu':
+    case 'hover':
+      return `${STEP_TYPES[step.type].label} ${target}`;
+    case 'input':
+      return step.tagName === 'select' ? `Choose "${step.value}" in ${step.selector}` : `Type into ${step.selector}`;
+    case 'keydown':
+      return `Press ${step.value}${step.selector ? ` in ${step.selector}` : ''}`;
+    case 'navigate':
+      return `Go to ${step.value}`;
+    case 'assert':
+      return `Check ${step.selector}: ${(STEP_FIELD_OPTIONS.assertion[step.assertion] || step.assertion).toLowerCase()}`;
+    case 'waitFor':
+      return `Wait for ${step.selector}`;
+    case 'switchTab':
+      return `Switch to tab ${step.value}`;
+    case 'closeTab':
+      return `Close tab ${step.value}`;
+    default:
+      return describeStepForScript(step);
+  }
+}
+
+// The selector is the last-resort CSS path when no stable id, test id, name,
+// text or label matched, so it breaks as soon as the page layout changes
+function isFragileSelector(step) {
+  return step.locators?.find(locator => locator.selector === step.selector)?.strategy === 'css';
+}
+
+function renderRecordingSteps() {
+  const steps = state.currentWorkflow?.steps || [];
+  const list = elements.recordingSteps;
+
+  // Rebuilding the rows would swallow a click on a delete button mid-render
+  const rendered = JSON.stringify(steps);
+  if (rendered === renderedRecordingSteps) return;
+  renderedRecordingSteps = rendered;
+
+  const added = steps.length > list.children.length;
+
+  list.classList.toggle('hidden', !steps.length);
+  list.innerHTML = steps.map((step, index) => {
+    const fragile = isFragileSelector(step);
+    return `
+      <li class="playing-step recording-step${fragile ? ' fragile' : ''}" title="${escapeHtml(step.selector || step.value || '')}">
+        <span class="playing-step-number">${index + 1}</span>
+        <span class="playing-step-detail">${escapeHtml(describeRecordedStep(step))}</span>
+        ${fragile ? '<span class="fragile-badge" title="No stable attribute found, so this selector depends on the page layout. Review it in the step editor after saving">fragile</span>' : ''}
+        <button class="recording-step-delete" data-delete-recorded-step="${index}" title="Delete step">×</button>
+      </li>
+    `;
+  }).join('');
+
+  // Keep the newest step in view without fighting the user's scrolling
+  if (added) {
+    list.lastElementChild?.scrollIntoView?.({ block: 'nearest' });
+  }
+}
+
+async function deleteRecordedStep(index) {
+  try {
+    const response = await sendMessage({ type: 'DELETE_RECORDED_STEP', index });
+    if (!response.success) {
+      showError(response.error);
+      return;
+    }
+    await refreshState();
+  } catch (err) {
+    showError('Error: ' + err.message);
+  }
+}
+
+// ============================================================================
+// Playback Progress
+// ============================================================================
+
+// Paused runs can wait on the user indefinitely
+const PLAYBACK_RESPONSE_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+// Runs from a top-level step, and pauses before a chosen step and at the
+// breakpoints set in the step editor. The tab stays open where it paused
+function showDebugDialog(workflowId) {
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  if (!workflow?.steps?.length) return;
+
+  const rows = getPlaybackStepRows(workflow.steps);
+  const breakpoints = rows.filter(({ step }) => step.breakpoint).length;
+  const stepOption = ({ step, path, depth }) => `
+    <option value="${path}">${'\u00a0\u00a0'.repeat(depth)}${formatStepPath(path)} · ${escapeHtml(STEP_TYPES[step.type]?.label || step.type)}${step.breakpoint ? ' ●' : ''}</option>
+  `;
+
+  const modal = openModal(`Debug "${workflow.name}"`, `
+    <form class="run-with-form">
+      <div class="input-group">
+        <label class="label" for="debug-start">Start at</label>
+        <select id="debug-start" class="input" data-debug-start>
+          ${rows.filter(({ depth }) => depth === 0).map(stepOption).join('')}
+        </select>
+      </div>
+      <div class="input-group">
+        <label class="label" for="debug-pause">Pause before</label>
+        <select id="debug-pause" class="input" data-debug-pause>
+          <option value="">Breakpoints only</option>
+          ${rows.map(stepOption).join('')}
+        </select>
+      </div>
+      <p class="editor-hint">
+        ${breakpoints > 0 ? `${breakpoints} breakpoint${breakpoints !== 1 ? 's' : ''} set.` : 'No breakpoints set.'}
+        Click a step's number in the step editor to set one. Steps skipped by starting later don't run, so variables they would set keep their defaults.
+      </p>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-ghost btn-small" data-modal-close>Cancel</button>
+        <button type="submit" class="btn btn-success btn-small" ${workflow.status === 'archived' ? 'disabled' : ''}>Debug</button>
+      </div>
+    </form>
+  `);
+
+  modal.querySelector('form').addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const startAt = parseInt(modal.querySelector('[data-debug-start]').value);
+    const pauseAt = modal.querySelector('[data-debug-pause]').value || null;
+    closeModal();
+    playWorkflow(workflowId, undefined, { startAt, pauseAt });
+  });
+}
+
+async function controlPlayback(type) {
+  try {
+    const response = await sendMessage({ type });
+    if (!response.success) {
+      showError(response.error);
+      return;
+    }
+    state.playback = response.playback;
+    updateUI();
+  } catch (err) {
+    showError('Error: ' + err.message);
+  }
+}
+
+// Deeper blocks are indented no further
+const MAX_PLAYBACK_STEP_DEPTH = 3;
+
+// Every step with its path, nested ones indented under their block
+function getPlaybackStepRows(steps, listPath = '', depth = 0) {
+  return (steps || []).flatMap((step, index) => {
+    const path = listPath ? `${listPath}.${index}` : String(index);
+    return [
+      { step, path, depth },
+      ...getPlaybackStepRows(step.steps, `${path}.steps`, depth + 1),
+      ...getPlaybackStepRows(step.elseSteps, `${path}.elseSteps`, depth + 1)
+    ];
+  });
+}
+
+function renderPlaybackProgress() {
+  const { playback } = state;
+  const workflow = playback && state.workflows.find(w => w.id === playback.workflowId);
+
+  elements.playingControls.classList.toggle('hidden', !playback);
+  elements.playingSteps.classList.toggle('hidden', !workflow);
+  elements.playingRow.classList.toggle('hidden', !playback?.datasetRows);
+  if (!playback) {
+    elements.playingTitle.textContent = 'Running workflow...';
+    return;
+  }
+
+  const { status } = playback;
+  elements.playingTitle.textContent = status === 'paused' ? `Paused · ${playback.workflowName}`
+    : status === 'stopping' ? 'Stopping...'
+    : `Running ${playback.workflowName}`;
+  elements.playingRow.textContent = `Row ${playback.datasetRow} of ${playback.datasetRows}`;
+  elements.btnPlaybackPause.textContent = status === 'paused' ? 'Resume' : 'Pause';
+  elements.btnPlaybackPause.disabled = status === 'stopping';
+  elements.btnPlaybackStep.disabled = status !== 'paused';
+  elements.btnPlaybackStop.disabled = status === 'stopping';
+
+  if (!workflow) return;
+
+  // A called workflow's steps run under the step that calls it
+  const currentPath = playback.currentPath?.split('.call.')[0];
+  elements.playingSteps.innerHTML = getPlaybackStepRows(workflow.steps).map(({ step, path, depth }) => {
+    const stepStatus = playback.stepStatuses[path] || '';
+    const isCurrent = path === currentPath;
+    const classes = [stepStatus, isCurrent && 'current', step.breakpoint && 'breakpoint'].filter(Boolean).join(' ');
+    const detail = step.type === 'callWorkflow'
+      ? state.workflows.find(w => w.id === step.workflowId)?.name
+      : step.selector || step.value;
+    return `
+      <li class="playing-step depth-${Math.min(depth, MAX_PLAYBACK_STEP_DEPTH)} ${escapeHtml(classes)}" title="${escapeHtml(RUN_STEP_STATUS_LABELS[stepStatus] || '')}">
+        <span class="playing-step-number">${formatStepPath(path)}</span>
+        <span class="playing-step-type">${escapeHtml(STEP_TYPES[step.type]?.label || step.type)}</span>
+        <span class="playing-step-detail">${escapeHtml(step.secret ? '••••••••' : detail || '')}</span>
+        ${isCurrent && playback.iteration ? `<span class="iteration-badge" title="Iteration ${playback.iteration}">#${playback.iteration}</span>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  elements.playingSteps.querySelector('.current')?.scrollIntoView?.({ block: 'nearest' });
+}
+
+// ============================================================================
+// UI Updates
+// ============================================================================
+
+function updateUI() {
+  // Hide all panels first
+  elements.panelIdle.classList.add('hidden');
+  elements.panelRecording.classList.add('hidden');
+  elements.panelPlaying.classList.add('hidden');
+
+  // The step editor takes over the workflows list while open
+  const isEditing = !!state.editor;
+  elements.panelEditor.classList.toggle('hidden', !isEditing);
+  elements.workflowsSection.classList.toggle('hidden', isEditing);
+  elements.mainFooter.classList.toggle('hidden', isEditing);
+
+  if (isEditing) {
+    return;
+  } else if (state.isPlaying || state.playback) {
+    // Also shown when the popup is reopened during a run
+    elements.panelPlaying.classList.remove('hidden');
+    renderPlaybackProgress();
+  } else if (state.isRecording) {
+    elements.panelRecording.classList.remove('hidden');
+
+    if (state.currentWorkflow) {
+      elements.recordingName.textContent = state.currentWorkflow.name;
+      const count = state.currentWorkflow.steps?.length || 0;
+      elements.stepCount.textContent = `${count} step${count !== 1 ? 's' : ''}${state.recordingPaused ? ' · paused' : ''}`;
+      renderRecordingSteps();
+    }
+  } else {
+    elements.panelIdle.classList.remove('hidden');
+    elements.workflowName.value = '';
+  }
+}
+
+function renderWorkflows() {
+  // Filter workflows based on archived state
+  let filteredWorkflows = state.workflows.filter(w => {
+    const isArchived = w.status === 'archived';
+    return state.showArchived ? isArchived : !isArchived;
+  });
+
+  // Sort workflows
+  filteredWorkflows = sortWorkflows(filteredWorkflows);
+
+  const totalCount = state.workflows.length;
+  const activeCount = state.workflows.filter(w => w.status !== 'archived').length;
+  const archivedCount = totalCount - activeCount;
+
+  elements.workflowCount.textContent = state.showArchived ? archivedCount : activeCount;
+
+  if (filteredWorkflows.length === 0) {
+    elements.workflowsList.innerHTML = '';
+    elements.emptyState.classList.remove('hidden');
+    const mainText = elements.emptyState.querySelector('p:first-child');
+    const hintText = elements.emptyState.querySelector('.empty-hint');
+    if (state.showArchived) {
+      if (mainText) mainText.textContent = 'No archived workflows';
+      if (hintText) hintText.textContent = 'Archive workflows to see them here';
+    } else {
+      if (mainText) mainText.textContent = 'No workflows yet';
+      if (hintText) hintText.textContent = 'Record your first workflow';
+    }
+    return;
+  }
+
+  elements.emptyState.classList.add('hidden');
+
+  elements.workflowsList.innerHTML = filteredWorkflows
+    .map(workflow => {
+      const isArchived = workflow.status === 'archived';
+      const schedule = state.schedules[workflow.id];
+      const isScheduled = schedule && schedule.intervalMinutes > 0;
+      const scheduleStatus = schedule?.lastStatus;
+      const usageCount = workflow.usageCount || 0;
+
+      const isSlowMode = workflow.slowMode || false;
+      const hasVariables = getWorkflowVariableNames(workflow).length > 0;
+
+      return `
+      <div class="workflow-item ${isArchived ? 'archived' : ''}" data-id="${workflow.id}">
+        <div class="workflow-info">
+          <div class="workflow-name" data-edit-name="${workflow.id}" title="Click to edit name">
+            ${escapeHtml(workflow.name)}
+            ${isScheduled ? `<span class="schedule-badge ${scheduleStatus || ''}" title="${getScheduleTitle(schedule)}">&#9200;</span>` : ''}
+          </div>
+          <div class="workflow-meta">${flattenSteps(workflow.steps).length} steps${usageCount > 0 ? ` · ${usageCount} runs` : ''}${workflow.dataset ? ` · ${workflow.dataset.rowCount}-row dataset` : ''} · ${formatDate(workflow.updatedAt)}</div>
+        </div>
+        <div class="workflow-actions">
+          ${!isArchived ? `
+          <label class="slow-mode-toggle" title="Slow mode (pause after each step)">
+            <input type="checkbox" data-slow-mode="${workflow.id}" ${isSlowMode ? 'checked' : ''}>
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="12" cy="12" r="10"/>
+              <path d="M12 6v6l4 2"/>
+            </svg>
+          </label>
+          <button class="btn btn-success" data-play="${workflow.id}" title="Run">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M8 5v14l11-7z"/>
+            </svg>
+          </button>
+          ${hasVariables ? `
+          <button class="btn btn-ghost" data-run-with="${workflow.id}" title="Run with...">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M4 21v-7M4 10V3M12 21v-9M12 8V3M20 21v-5M20 12V3M1 14h6M9 8h6M17 16h6"/>
+            </svg>
+          </button>
+          ` : ''}
+          <button class="btn btn-ghost ${isScheduled ? 'active' : ''}" data-schedule="${workflow.id}" title="${isScheduled ? 'Edit schedule' : 'Schedule health check'}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="12" cy="12" r="10"/>
+              <path d="M12 6v6l4 2"/>
+            </svg>
+          </button>
+          <button class="btn btn-ghost" data-history="${workflow.id}" title="Run history">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M3 3v18h18M7 15l4-4 3 3 5-6"/>
+            </svg>
+          </button>
+          <button class="btn btn-ghost" data-edit-steps="${workflow.id}" title="Edit steps">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M12 20h9M16.5 3.5a2.12 2.12 0 013 3L7 19l-4 1 1-4L16.5 3.5z"/>
+            </svg>
+          </button>
+          <button class="btn btn-ghost" data-archive="${workflow.id}" data-is-archived="${isArchived}" title="Archive">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M21 8v13H3V8M1 3h22v5H1zM10 12h4"/>
+            </svg>
+          </button>
+          <button class="btn btn-ghost" data-more="${workflow.id}" title="More actions">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+              <circle cx="12" cy="5" r="1.8"/><circle cx="12" cy="12" r="1.8"/><circle cx="12" cy="19" r="1.8"/>
+            </svg>
+          </button>
+          ` : `
+          <button class="btn btn-ghost" data-archive="${workflow.id}" data-is-archived="${isArchived}" title="Restore">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6"/>
+            </svg>
+          </button>
+          <button class="btn btn-ghost danger" data-delete="${workflow.id}" title="Delete permanently">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+            </svg>
+          </button>
+          `}
+        </div>
+      </div>
+    `;})
+    .join('');
+
+  // Add event listeners
+  $$('[data-play]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      playWorkflow(btn.dataset.play);
+    });
+  });
+
+  $$('[data-run-with]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showRunWithDialog(btn.dataset.runWith);
+    });
+  });
+
+  $$('[data-schedule]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showScheduleMenu(btn.dataset.schedule, btn);
+    });
+  });
+
+  $$('[data-history]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showRunHistory(btn.dataset.history);
+    });
+  });
+
+  $$('[data-edit-steps]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openStepEditor(btn.dataset.editSteps);
+    });
+  });
+
+  $$('[data-more]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showWorkflowMenu(btn.dataset.more, btn);
+    });
+  });
+
+  $$('[data-archive]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const isArchived = btn.dataset.isArchived === 'true';
+      archiveWorkflow(btn.dataset.archive, !isArchived);
+    });
+  });
+
+  $$('[data-delete]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteWorkflow(btn.dataset.delete);
+    });
+  });
+
+  $$('[data-edit-name]').forEach(el => {
+    el.addEventListener('click', (e) => {
+      e.stopPropagation();
+      startEditName(el.dataset.editName, el);
+    });
+  });
+
+  $$('[data-slow-mode]').forEach(input => {
+    input.addEventListener('change', (e) => {
+      e.stopPropagation();
+      toggleSlowMode(input.dataset.slowMode, input.checked);
+    });
+  });
+}
+
+function sortWorkflows(workflows) {
+  switch (state.sortBy) {
+    case 'frequency':
+      return [...workflows].sort((a, b) => {
+        const aCount = a.usageCount || 0;
+        const bCount = b.usageCount || 0;
+        if (bCount !== aCount) return bCount - aCount;
+        // Tie-breaker: most recently used
+        return new Date(b.lastUsedAt || 0) - new Date(a.lastUsedAt || 0);
+      });
+
+    case 'alphabetical':
+      return [...workflows].sort((a, b) =>
+        a.name.toLowerCase().localeCompare(b.name.toLowerCase())
+      );
+
+    case 'recent':
+    default:
+      return [...workflows].sort((a, b) =>
+        new Date(b.updatedAt) - new Date(a.updatedAt)
+      );
+  }
+}
+
+function formatDate(isoString) {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
 
   if (diffDays === 0) {
     return 'Today';
@@ -604,268 +1655,2869 @@ function formatDate(isoString) {
   } else if (diffDays < 7) {
     return `${diffDays} days ago`;
   } else {
-    return date.toLocaleDateString();
+    return date.toLocaleDateString();
+  }
+}
+
+function startEditName(workflowId, element) {
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  if (!workflow) return;
+
+  // Get current name (without the schedule badge)
+  const currentName = workflow.name;
+
+  // Replace with input
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'input edit-name-input';
+  input.value = currentName;
+
+  const container = element.parentElement;
+  element.style.display = 'none';
+  container.insertBefore(input, element);
+
+  input.focus();
+  input.select();
+
+  const saveEdit = async () => {
+    const newName = input.value.trim();
+    if (newName && newName !== currentName) {
+      await renameWorkflow(workflowId, newName);
+    } else {
+      // Restore original
+      input.remove();
+      element.style.display = '';
+    }
+  };
+
+  input.addEventListener('blur', saveEdit);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      input.blur();
+    } else if (e.key === 'Escape') {
+      input.value = currentName; // Reset to original
+      input.blur();
+    }
+  });
+}
+
+async function renameWorkflow(workflowId, newName) {
+  try {
+    const workflow = state.workflows.find(w => w.id === workflowId);
+    if (!workflow) return;
+
+    const response = await sendMessage({
+      type: 'SAVE_WORKFLOW',
+      data: {
+        ...workflow,
+        name: newName,
+        updatedAt: new Date().toISOString()
+      }
+    });
+
+    if (response.success) {
+      await loadWorkflows();
+      showSuccess('Workflow renamed');
+    }
+  } catch (err) {
+    showError('Failed to rename: ' + err.message);
+    await loadWorkflows(); // Refresh to restore UI
+  }
+}
+
+function getScheduleTitle(schedule) {
+  if (!schedule) return '';
+  let title = `Every ${schedule.intervalMinutes} min`;
+  if (schedule.lastRun) {
+    const ago = getTimeAgo(new Date(schedule.lastRun));
+    title += `\nLast run: ${ago}`;
+    if (schedule.lastStatus === 'failed') {
+      title += ` (failed: ${schedule.lastError || 'unknown'})`;
+    }
+  }
+  return title;
+}
+
+function getTimeAgo(date) {
+  const seconds = Math.floor((new Date() - date) / 1000);
+  if (seconds < 60) return 'just now';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days}d ago`;
+}
+
+function showScheduleMenu(workflowId, btn) {
+  // Remove existing menu
+  const existingMenu = document.querySelector('.schedule-menu');
+  if (existingMenu) existingMenu.remove();
+
+  const schedule = state.schedules[workflowId];
+  const currentInterval = schedule?.intervalMinutes || 0;
+
+  const menu = document.createElement('div');
+  menu.className = 'schedule-menu';
+  menu.innerHTML = `
+    <div class="schedule-menu-title">Health Check Schedule</div>
+    <div class="schedule-options">
+      <button class="schedule-option ${currentInterval === 0 ? 'active' : ''}" data-interval="0">Off</button>
+      <button class="schedule-option ${currentInterval === 30 ? 'active' : ''}" data-interval="30">30 min</button>
+      <button class="schedule-option ${currentInterval === 60 ? 'active' : ''}" data-interval="60">1 hour</button>
+      <button class="schedule-option ${currentInterval === 360 ? 'active' : ''}" data-interval="360">6 hours</button>
+      <button class="schedule-option ${currentInterval === 720 ? 'active' : ''}" data-interval="720">12 hours</button>
+      <button class="schedule-option ${currentInterval === 1440 ? 'active' : ''}" data-interval="1440">Daily</button>
+    </div>
+    ${schedule?.lastRun ? `
+    <div class="schedule-status">
+      Last: ${getTimeAgo(new Date(schedule.lastRun))}
+      <span class="status-dot ${schedule.lastStatus}"></span>
+    </div>
+    ` : ''}
+  `;
+
+  // Position menu
+  const rect = btn.getBoundingClientRect();
+  menu.style.top = `${rect.bottom + 4}px`;
+  menu.style.right = `${document.body.clientWidth - rect.right}px`;
+
+  document.body.appendChild(menu);
+
+  // Handle clicks
+  menu.querySelectorAll('[data-interval]').forEach(option => {
+    option.addEventListener('click', async () => {
+      const interval = parseInt(option.dataset.interval);
+      await setSchedule(workflowId, interval);
+      menu.remove();
+    });
+  });
+
+  // Close on click outside
+  setTimeout(() => {
+    document.addEventListener('click', function closeMenu(e) {
+      if (!menu.contains(e.target)) {
+        menu.remove();
+        document.removeEventListener('click', closeMenu);
+      }
+    });
+  }, 0);
+}
+
+function showWorkflowMenu(workflowId, btn) {
+  closeWorkflowMenu();
+
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  const actions = [
+    { id: 'debug', label: 'Debug...', run: () => showDebugDialog(workflowId) },
+    { id: 'dataset', label: workflow?.dataset ? `Dataset (${workflow.dataset.rowCount} rows)...` : 'Attach dataset...', run: () => showDatasetDialog(workflowId) },
+    { id: 'export-playwright', label: 'Export as Playwright test', run: () => exportWorkflowScript(workflowId, 'playwright') },
+    { id: 'export-puppeteer', label: 'Export as Puppeteer script', run: () => exportWorkflowScript(workflowId, 'puppeteer') }
+  ];
+
+  const menu = document.createElement('div');
+  menu.className = 'workflow-menu';
+  menu.innerHTML = actions
+    .map(action => `<button class="menu-option" data-menu-action="${action.id}">${escapeHtml(action.label)}</button>`)
+    .join('');
+
+  // Position menu
+  const rect = btn.getBoundingClientRect();
+  menu.style.top = `${rect.bottom + 4}px`;
+  menu.style.right = `${document.body.clientWidth - rect.right}px`;
+
+  document.body.appendChild(menu);
+
+  // Flip above the button when it would run off the bottom
+  if (rect.bottom + 4 + menu.offsetHeight > window.innerHeight) {
+    menu.style.top = `${rect.top - 4 - menu.offsetHeight}px`;
+  }
+
+  menu.querySelectorAll('[data-menu-action]').forEach(option => {
+    option.addEventListener('click', () => {
+      closeWorkflowMenu();
+      actions.find(a => a.id === option.dataset.menuAction).run();
+    });
+  });
+
+  // Close on click outside
+  setTimeout(() => {
+    document.addEventListener('click', function closeMenu(e) {
+      if (!menu.contains(e.target)) {
+        closeWorkflowMenu();
+        document.removeEventListener('click', closeMenu);
+      }
+    });
+  }, 0);
+}
+
+function closeWorkflowMenu() {
+  const existingMenu = document.querySelector('.workflow-menu');
+  if (existingMenu) existingMenu.remove();
+}
+
+async function setSchedule(workflowId, intervalMinutes) {
+  try {
+    const response = await sendMessage({
+      type: 'SCHEDULE_WORKFLOW',
+      data: { workflowId, intervalMinutes }
+    });
+
+    if (response.success) {
+      await loadWorkflows();
+      if (intervalMinutes > 0) {
+        showSuccess(`Scheduled every ${intervalMinutes} min`);
+      } else {
+        showSuccess('Schedule removed');
+      }
+    }
+  } catch (err) {
+    showError('Failed to set schedule: ' + err.message);
+  }
+}
+
+// ============================================================================
+// Healed Locators
+// ============================================================================
+
+function showHealedLocatorsDialog(workflowId, healed) {
+  const modal = openModal('Healed locators', `
+    <form class="run-with-form">
+      <p class="editor-hint">These recorded selectors no longer matched, so Wave found the element another way. Accept the new selectors to update the workflow.</p>
+      <div class="healed-list">
+        ${healed.map((item, index) => `
+          <label class="healed-item">
+            <input type="checkbox" data-healed-index="${index}" checked>
+            <div class="healed-info">
+              <span class="healed-step">${item.workflowId && item.workflowId !== workflowId ? `${escapeHtml(state.workflows.find(w => w.id === item.workflowId)?.name || 'Called workflow')} · step` : 'Step'} ${formatStepPath(item.path ?? item.stepIndex)} · ${escapeHtml(item.strategy)}${item.strategy === 'fingerprint' ? ` (${Math.round(item.score * 100)}% match)` : ''}</span>
+              <code class="healed-from" title="${escapeHtml(item.from)}">${escapeHtml(item.from)}</code>
+              <code class="healed-to" title="${escapeHtml(item.to)}">${escapeHtml(item.to)}</code>
+            </div>
+          </label>
+        `).join('')}
+      </div>
+      <div class="modal-actions">
+        <button type="button" class="btn btn-ghost btn-small" data-modal-close>Keep original</button>
+        <button type="submit" class="btn btn-success btn-small">Accept selected</button>
+      </div>
+    </form>
+  `);
+
+  modal.querySelector('form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const accepted = Array.from(modal.querySelectorAll('[data-healed-index]:checked'))
+      .map(input => healed[parseInt(input.dataset.healedIndex)]);
+
+    closeModal();
+    if (accepted.length > 0) {
+      await acceptHealedLocators(workflowId, accepted);
+    }
+  });
+}
+
+// Steps of called workflows are updated in the workflow they belong to
+async function acceptHealedLocators(workflowId, accepted) {
+  try {
+    const byWorkflow = new Map();
+    for (const item of accepted) {
+      const id = item.workflowId ?? workflowId;
+      byWorkflow.set(id, [...(byWorkflow.get(id) || []), item]);
+    }
+
+    let updated = 0;
+    for (const [id, items] of byWorkflow) {
+      const workflow = state.workflows.find(w => w.id === id);
+      if (!workflow) continue;
+
+      const steps = JSON.parse(JSON.stringify(workflow.steps));
+      let changed = 0;
+
+      for (const item of items) {
+        const step = getStepAtPath(steps, item.path ?? item.stepIndex);
+        // Skip steps edited since the run
+        if (!step || step.selector !== item.from) continue;
+
+        step.selector = item.to;
+        step.locators = [
+          { strategy: item.strategy, selector: item.to },
+          ...(step.locators || []).filter(l => l.selector !== item.to)
+        ];
+        changed++;
+      }
+      if (changed === 0) continue;
+
+      const response = await sendMessage({
+        type: 'SAVE_WORKFLOW',
+        data: {
+          ...workflow,
+          steps,
+          updatedAt: new Date().toISOString()
+        }
+      });
+      if (response.success) updated += changed;
+    }
+
+    if (updated === 0) {
+      showError('Steps changed since this run, nothing to update');
+      return;
+    }
+
+    await loadWorkflows();
+    showSuccess(`Updated ${updated} selector${updated !== 1 ? 's' : ''}`);
+  } catch (err) {
+    showError('Failed to update selectors: ' + err.message);
+  }
+}
+
+// ============================================================================
+// Run History
+// ============================================================================
+
+async function showRunHistory(workflowId) {
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  if (!workflow) return;
+
+  let runs;
+  try {
+    runs = await sendMessage({ type: 'GET_RUNS', data: { workflowId } });
+  } catch (err) {
+    showError('Failed to load history: ' + err.message);
+    return;
+  }
+  if (!Array.isArray(runs)) runs = [];
+
+  // Runs stopped by hand neither pass nor fail
+  const finished = runs.filter(run => run.status !== 'stopped').length;
+  const passed = runs.filter(run => run.status === 'success').length;
+  const passRate = finished > 0 ? Math.round((passed / finished) * 100) : 0;
+  const softFailed = runs.filter(run => run.status === 'success' && run.softFailures?.length > 0).length;
+
+  const modal = openModal(`History · ${workflow.name}`, runs.length === 0 ? `
+    <div class="empty-state">
+      <p>No runs yet</p>
+      <p class="empty-hint">Runs and health checks will show up here</p>
+    </div>
+  ` : `
+    <div class="history-summary">
+      <div class="history-rate">
+        <span class="history-rate-value">${passRate}%</span>
+        <span class="history-rate-label">passed · ${passed}/${finished} runs${softFailed > 0 ? ` · ${softFailed} with soft failures` : ''}</span>
+      </div>
+      ${renderPassSparkline(runs)}
+    </div>
+    <div class="run-list">
+      ${runs.map(renderRunItem).join('')}
+    </div>
+    <div class="modal-actions">
+      <span class="editor-hint history-retention">Keeps the last 50 runs for 30 days</span>
+      <button class="btn btn-ghost btn-small danger" data-clear-history>Clear history</button>
+    </div>
+  `);
+
+  setupRunFailureActions(modal, runs);
+
+  modal.querySelectorAll('[data-download-extracted]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const run = runs.find(r => r.id === btn.dataset.downloadExtracted);
+      downloadExtractedData(workflow, run, btn.dataset.format);
+    });
+  });
+
+  modal.querySelectorAll('[data-review-healed]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const run = runs.find(r => r.id === btn.dataset.reviewHealed);
+      showHealedLocatorsDialog(workflowId, run.healed);
+    });
+  });
+
+  modal.querySelector('[data-clear-history]')?.addEventListener('click', async () => {
+    if (!confirm('Clear run history for this workflow?')) return;
+
+    try {
+      await sendMessage({ type: 'CLEAR_RUNS', data: { workflowId } });
+      closeModal();
+      showSuccess('History cleared');
+    } catch (err) {
+      showError('Failed to clear history: ' + err.message);
+    }
+  });
+}
+
+function renderPassSparkline(runs) {
+  // Oldest to newest, one bar per run: up for passed, down for failed
+  const recent = runs.slice(0, 30).reverse();
+  const barWidth = 4;
+
+  const bars = recent.map((run, i) => {
+    const passed = run.status === 'success';
+    const barClass = run.status === 'stopped' ? 'spark-stopped' : !passed ? 'spark-fail' : run.softFailures?.length > 0 ? 'spark-soft' : 'spark-pass';
+    return `<rect class="${barClass}" x="${i * barWidth}" y="${passed ? 0 : 11}" width="${barWidth - 1}" height="9"><title>${escapeHtml(formatRunTime(run))}</title></rect>`;
+  }).join('');
+
+  return `
+    <svg class="sparkline" viewBox="0 0 ${recent.length * barWidth} 20" width="${recent.length * barWidth * 1.5}" height="30" preserveAspectRatio="none">
+      ${bars}
+    </svg>
+  `;
+}
+
+// Soft failures and skipped steps don't fail a run, but are shown apart from clean passes
+const RUN_STEP_STATUS_LABELS = {
+  failed: 'Failed',
+  softFailed: 'Soft-failed',
+  skipped: 'Skipped',
+  stopped: 'Stopped'
+};
+
+function renderRunItem(run) {
+  const passed = run.status === 'success';
+  const softFailed = run.softFailures?.length || 0;
+  const duration = run.endedAt ? new Date(run.endedAt) - new Date(run.startedAt) : null;
+
+  return `
+    <details class="run-item">
+      <summary class="run-summary">
+        <span class="status-dot ${run.status === 'stopped' ? 'stopped' : !passed ? 'failed' : softFailed > 0 ? 'soft' : 'success'}"></span>
+        <span class="run-when">${escapeHtml(formatRunTime(run))}</span>
+        <span class="run-trigger">${getRunTriggerLabel(run)}</span>
+        <span class="run-duration">${duration !== null ? formatDuration(duration) : ''}</span>
+      </summary>
+      ${run.error ? `<div class="run-error">${escapeHtml(run.error)}</div>` : ''}
+      ${softFailed > 0 ? `<div class="run-soft">${softFailed} step${softFailed !== 1 ? 's' : ''} soft-failed without stopping the run</div>` : ''}
+      ${run.failure ? renderRunFailure(run) : ''}
+      ${run.extracted?.length > 0 ? `
+        <div class="run-extracted">
+          <span>${run.extracted.length} value${run.extracted.length !== 1 ? 's' : ''} extracted</span>
+          <button class="btn btn-ghost btn-small" data-download-extracted="${run.id}" data-format="json">JSON</button>
+          <button class="btn btn-ghost btn-small" data-download-extracted="${run.id}" data-format="csv">CSV</button>
+        </div>
+      ` : ''}
+      ${run.healed?.length > 0 ? `
+        <div class="run-healed">
+          <span>${run.healed.length} step${run.healed.length !== 1 ? 's' : ''} used a fallback locator</span>
+          <button class="btn btn-ghost btn-small" data-review-healed="${run.id}">Review</button>
+        </div>
+      ` : ''}
+      <table class="run-steps">
+        ${(run.steps || []).map(step => `
+          <tr class="${RUN_STEP_STATUS_LABELS[step.status] ? step.status : ''}">
+            <td class="run-step-index">${formatStepPath(step.path ?? step.index)}${step.iteration ? ` <span class="iteration-badge" title="Iteration ${step.iteration}">#${step.iteration}</span>` : ''}</td>
+            <td class="run-step-type">${escapeHtml(STEP_TYPES[step.type]?.label || step.type)}${step.branch ? ` → ${step.branch}` : ''}${step.workflowName ? ` → ${escapeHtml(step.workflowName)}` : ''}${step.iterations !== undefined ? ` ×${step.iterations}` : ''}${step.healed ? ' <span class="healed-badge" title="Healed">✚</span>' : ''}${step.attempts > 1 ? ` <span class="attempts-badge" title="${step.attempts} attempts">×${step.attempts}</span>` : ''}</td>
+            <td class="run-step-selector" title="${escapeHtml(step.error ? `${RUN_STEP_STATUS_LABELS[step.status] || ''}: ${step.error}` : step.selector || '')}">${escapeHtml(step.error || step.selector || '')}</td>
+            <td class="run-step-duration">${formatDuration(step.duration)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </details>
+  `;
+}
+
+function getRunTriggerLabel(run) {
+  if (run.trigger === 'scheduled') return 'Scheduled';
+  if (run.trigger === 'dataset') return `Dataset row ${run.datasetRow}`;
+  return run.startAt ? `Manual from step ${run.startAt + 1}` : 'Manual';
+}
+
+function renderRunFailure(run) {
+  const { url, screenshot, dom } = run.failure;
+
+  return `
+    <div class="run-failure">
+      ${screenshot ? `
+        <img class="run-screenshot" src="${screenshot}" data-open-screenshot="${run.id}" title="Open full size" alt="Page at failure">
+      ` : ''}
+      <div class="run-failure-info">
+        ${url ? `<div class="run-failure-url" title="${escapeHtml(url)}">${escapeHtml(url)}</div>` : ''}
+        ${dom ? `<button class="btn btn-ghost btn-small" data-download-dom="${run.id}">Download DOM snapshot</button>` : ''}
+        ${!screenshot && !dom ? '<div class="editor-hint">Screenshot and DOM snapshot are only kept for the latest failures</div>' : ''}
+      </div>
+    </div>
+  `;
+}
+
+function setupRunFailureActions(container, runs) {
+  container.querySelectorAll('[data-open-screenshot]').forEach(img => {
+    img.addEventListener('click', async () => {
+      const run = runs.find(r => r.id === img.dataset.openScreenshot);
+      // Data URLs can't be opened as a top-level page, so go through a blob
+      const blob = await (await fetch(run.failure.screenshot)).blob();
+      chrome.tabs.create({ url: URL.createObjectURL(blob) });
+    });
+  });
+
+  container.querySelectorAll('[data-download-dom]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const run = runs.find(r => r.id === btn.dataset.downloadDom);
+      downloadFile(run.failure.dom, `wave-dom-${run.id}.html`, 'text/html');
+    });
+  });
+}
+
+// Extract steps inside loops add a value per iteration, so a variable extracted
+// more than once holds all of its values in order
+function getExtractedData(run) {
+  const data = {};
+  for (const { name, value } of run.extracted || []) {
+    const repeated = run.extracted.filter(entry => entry.name === name).length > 1;
+    data[name] = repeated ? [...(data[name] || []), value] : value;
+  }
+  return data;
+}
+
+// One column per variable, or per table column. Lists, tables and values from
+// loops fill rows; values extracted once repeat on every row
+function getExtractedRows(data) {
+  const columns = [];
+  const single = Object.keys(data).length === 1;
+
+  for (const [name, value] of Object.entries(data)) {
+    const values = Array.isArray(value) ? value : [value];
+    const isRecord = item => item && typeof item === 'object' && !Array.isArray(item);
+
+    if (values.some(isRecord)) {
+      const headers = [...new Set(values.filter(isRecord).flatMap(item => Object.keys(item)))];
+      for (const header of headers) {
+        columns.push({ name: single ? header : `${name}.${header}`, values: values.map(item => item?.[header] ?? '') });
+      }
+    } else {
+      columns.push({ name, values: values.map(item => typeof item === 'object' ? JSON.stringify(item) : item) });
+    }
+  }
+
+  const count = Math.max(...columns.map(column => column.values.length));
+  return [
+    columns.map(column => column.name),
+    ...Array.from({ length: count }, (_, i) =>
+      columns.map(column => column.values.length === 1 ? column.values[0] : column.values[i] ?? ''))
+  ];
+}
+
+function downloadExtractedData(workflow, run, format) {
+  const data = getExtractedData(run);
+  const filename = `wave-data-${slugify(workflow.name)}-${run.startedAt.split('T')[0]}`;
+
+  if (format === 'csv') {
+    downloadFile(toCsv(getExtractedRows(data)), `${filename}.csv`, 'text/csv');
+  } else {
+    downloadFile(JSON.stringify(data, null, 2), `${filename}.json`, 'application/json');
+  }
+}
+
+function formatRunTime(run) {
+  const date = new Date(run.startedAt);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+// ============================================================================
+// Step Editor
+// ============================================================================
+
+async function openStepEditor(workflowId) {
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  if (!workflow) return;
+
+  // Only secret names come back from the background, never their values
+  let secretNames = [];
+  try {
+    const response = await sendMessage({ type: 'GET_SECRET_NAMES', data: { workflowId } });
+    secretNames = response.names || [];
+  } catch (err) {
+    console.error('Failed to load secret names:', err);
+  }
+
+  let storedFileIds = [];
+  try {
+    const response = await sendMessage({ type: 'GET_WORKFLOW_FILES', data: { workflowId } });
+    storedFileIds = Object.keys(response.files || {});
+  } catch (err) {
+    console.error('Failed to load workflow files:', err);
+  }
+
+  state.editor = {
+    workflowId,
+    // Work on a copy so Cancel leaves the saved workflow untouched
+    steps: JSON.parse(JSON.stringify(workflow.steps || [])),
+    variables: Object.entries(workflow.variables || {}).map(([name, value]) => ({ name, value })),
+    stepDefaults: { ...(workflow.stepDefaults || {}) },
+    openOptions: new Set(), // steps whose failure handling fields are shown
+    secretNames: new Set(secretNames),
+    secretValues: {}, // name -> value typed in this session
+    storedFileIds: new Set(storedFileIds),
+    newFiles: {}, // fileId -> { name, type, size, data } attached in this session
+    dirty: false
+  };
+
+  elements.editorTitle.textContent = workflow.name;
+  // Only expand the variable table when there's something in it
+  elements.editorVariables.open = state.editor.variables.length > 0;
+  elements.editorStepDefaults.open = Object.keys(state.editor.stepDefaults).length > 0;
+  updateUI();
+  renderEditorVariables();
+  renderEditorStepDefaults();
+  renderStepEditor();
+}
+
+function closeStepEditor() {
+  if (state.editor?.dirty && !confirm('Discard unsaved step changes?')) return;
+
+  state.editor = null;
+  updateUI();
+}
+
+async function saveStepEditor() {
+  const editor = state.editor;
+  if (!editor) return;
+
+  const workflow = state.workflows.find(w => w.id === editor.workflowId);
+  if (!workflow) return;
+
+  let variables;
+  try {
+    variables = collectEditorVariables();
+    checkEditorPatterns(editor.steps);
+  } catch (err) {
+    showError(err.message);
+    return;
+  }
+
+  try {
+    setButtonLoading(elements.btnEditorSave, true, 'Saving...');
+
+    // The editor stays open with the values and files if they can't be stored
+    const secretsResponse = await sendMessage({
+      type: 'SAVE_SECRETS',
+      data: { workflowId: workflow.id, secrets: collectEditorSecrets() }
+    });
+    if (!secretsResponse.success) {
+      showError('Failed to save secrets: ' + (secretsResponse.error || 'Unknown error'));
+      return;
+    }
+
+    const filesResponse = await sendMessage({
+      type: 'SAVE_WORKFLOW_FILES',
+      data: { workflowId: workflow.id, files: collectEditorFiles() }
+    });
+    if (!filesResponse.success) {
+      showError('Failed to save files: ' + (filesResponse.error || 'Unknown error'));
+      return;
+    }
+
+    const response = await sendMessage({
+      type: 'SAVE_WORKFLOW',
+      data: {
+        ...workflow,
+        steps: editor.steps,
+        variables,
+        stepDefaults: editor.stepDefaults,
+        updatedAt: new Date().toISOString()
+      }
+    });
+
+    if (response.success) {
+      state.editor = null;
+      updateUI();
+      await loadWorkflows();
+      showSuccess('Steps saved');
+    } else {
+      showError('Failed to save steps: ' + (response.error || 'Unknown error'));
+    }
+  } catch (err) {
+    showError('Error: ' + err.message);
+  } finally {
+    setButtonLoading(elements.btnEditorSave, false);
+  }
+}
+
+function renderEditorVariables() {
+  const variables = state.editor.variables;
+  elements.editorVariableCount.textContent = variables.length;
+
+  elements.editorVariableRows.innerHTML = variables.map((variable, index) => `
+    <div class="variable-row" data-variable-index="${index}">
+      <input type="text" class="input" data-variable-field="name" value="${escapeHtml(variable.name)}" placeholder="name" spellcheck="false">
+      <input type="text" class="input" data-variable-field="value" value="${escapeHtml(variable.value ?? '')}" placeholder="Default value" spellcheck="false">
+      <button class="btn btn-ghost btn-icon danger" data-delete-variable="${index}" title="Remove variable">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M18 6L6 18M6 6l12 12"/>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+
+  elements.editorVariableRows.querySelectorAll('[data-variable-field]').forEach(input => {
+    const index = parseInt(input.closest('[data-variable-index]').dataset.variableIndex);
+    input.addEventListener('input', () => {
+      state.editor.variables[index][input.dataset.variableField] = input.value;
+      state.editor.dirty = true;
+    });
+  });
+
+  elements.editorVariableRows.querySelectorAll('[data-delete-variable]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.editor.variables.splice(parseInt(btn.dataset.deleteVariable), 1);
+      state.editor.dirty = true;
+      renderEditorVariables();
+    });
+  });
+}
+
+function addEditorVariable() {
+  state.editor.variables.push({ name: '', value: '' });
+  state.editor.dirty = true;
+  renderEditorVariables();
+  elements.editorVariableRows.querySelector('.variable-row:last-child input')?.focus();
+}
+
+// Steps whose value is a pattern ("*" wildcard or /regex/)
+function isPatternStep(step) {
+  return (step.type === 'assert' && ['urlMatches', 'titleMatches'].includes(step.assertion))
+    || (step.type === 'waitFor' && step.condition === 'urlChange')
+    || (step.type === 'if' && ['textMatches', 'urlMatches'].includes(step.condition));
+}
+
+// A regular expression that doesn't compile fails the save, not a later run.
+// Patterns with {{variables}} are only known at run time
+function checkEditorPatterns(steps) {
+  for (const step of flattenSteps(steps)) {
+    const value = String(step.value ?? '');
+    const regex = isPatternStep(step) && !value.match(VARIABLE_PATTERN) && value.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (!regex) continue;
+
+    try {
+      new RegExp(regex[1], regex[2]);
+    } catch (err) {
+      throw new Error(`Invalid pattern "${value}": ${err.message}`);
+    }
+  }
+}
+
+function collectEditorVariables() {
+  const variables = {};
+
+  for (const { name, value } of state.editor.variables) {
+    const trimmed = name.trim();
+    if (!trimmed) continue;
+
+    if (!/^\w+$/.test(trimmed)) {
+      throw new Error(`Invalid variable name "${trimmed}": use letters, digits and _`);
+    }
+    if (BUILTIN_VARIABLES.includes(trimmed)) {
+      throw new Error(`"${trimmed}" is a built-in variable`);
+    }
+    if (trimmed in variables) {
+      throw new Error(`Duplicate variable "${trimmed}"`);
+    }
+
+    variables[trimmed] = value;
+  }
+
+  return variables;
+}
+
+function renderEditorStepDefaults() {
+  elements.editorStepDefaultsFields.innerHTML = renderPolicyFields(state.editor.stepDefaults, DEFAULT_STEP_POLICY);
+
+  elements.editorStepDefaultsFields.querySelectorAll('[data-policy-field]').forEach(field => {
+    field.addEventListener('input', () => {
+      setPolicyField(state.editor.stepDefaults, field.dataset.policyField, field.value);
+      state.editor.dirty = true;
+    });
+    // Steps show the workflow defaults as their placeholders
+    field.addEventListener('change', renderStepEditor);
+  });
+}
+
+function renderPolicyFields(policy, fallback) {
+  return `
+    <label class="policy-field">
+      <span>Timeout (ms)</span>
+      <input type="number" class="input" data-policy-field="timeout" min="1" step="1000" value="${policy.timeout ?? ''}" placeholder="${fallback.timeout}">
+    </label>
+    <label class="policy-field">
+      <span>Retries</span>
+      <input type="number" class="input" data-policy-field="retries" min="0" max="10" value="${policy.retries ?? ''}" placeholder="${fallback.retries}">
+    </label>
+    <label class="policy-field">
+      <span>On failure</span>
+      <select class="input" data-policy-field="onFailure">
+        <option value="">${FAILURE_POLICY_OPTIONS[fallback.onFailure]} (default)</option>
+        ${Object.entries(FAILURE_POLICY_OPTIONS).map(([value, label]) =>
+          `<option value="${value}" ${policy.onFailure === value ? 'selected' : ''}>${label}</option>`
+        ).join('')}
+      </select>
+    </label>
+  `;
+}
+
+// Empty clears the field so it falls back again
+function setPolicyField(policy, field, value) {
+  const parsed = field === 'onFailure' ? value : parseInt(value);
+  if (parsed === '' || Number.isNaN(parsed)) {
+    delete policy[field];
+  } else {
+    policy[field] = parsed;
+  }
+}
+
+function hasStepPolicy(step) {
+  return ['timeout', 'retries', 'onFailure'].some(field => step[field] !== undefined);
+}
+
+function renderStepEditor() {
+  const steps = state.editor.steps;
+  elements.editorStepCount.textContent = flattenSteps(steps).length;
+
+  if (steps.length === 0) {
+    elements.editorSteps.innerHTML = `
+      <div class="empty-state">
+        <p>No steps</p>
+        <p class="empty-hint">Add a step to get started</p>
+      </div>
+    `;
+    return;
+  }
+
+  elements.editorSteps.innerHTML = renderEditorStepList(steps, '');
+
+  // Inline edits update the working copy without re-rendering, so focus is kept
+  elements.editorSteps.querySelectorAll('[data-field]').forEach(field => {
+    const path = field.closest('[data-step-path]').dataset.stepPath;
+    const eventName = field.tagName === 'SELECT' ? 'change' : 'input';
+
+    field.addEventListener(eventName, () => {
+      updateEditorStep(path, field.dataset.field, field.value);
+      // Dropdowns (type, assertion kind) can change which fields are shown
+      if (field.tagName === 'SELECT') renderStepEditor();
+    });
+  });
+
+  elements.editorSteps.querySelectorAll('[data-file-field]').forEach(field => {
+    const step = getStepAtPath(state.editor.steps, field.closest('[data-step-path]').dataset.stepPath);
+    const fileIndex = parseInt(field.closest('[data-file-index]').dataset.fileIndex);
+    field.addEventListener('input', () => {
+      step.files[fileIndex][field.dataset.fileField] = field.value;
+      state.editor.dirty = true;
+    });
+  });
+
+  elements.editorSteps.querySelectorAll('[data-remove-file]').forEach(btn => {
+    const path = btn.closest('[data-step-path]').dataset.stepPath;
+    btn.addEventListener('click', () => removeEditorFile(path, parseInt(btn.dataset.removeFile)));
+  });
+
+  elements.editorSteps.querySelectorAll('[data-attach-files]').forEach(input => {
+    const path = input.closest('[data-step-path]').dataset.stepPath;
+    input.addEventListener('change', () => attachEditorFiles(path, input.files));
+  });
+
+  elements.editorSteps.querySelectorAll('[data-add-text-file]').forEach(btn => {
+    const path = btn.closest('[data-step-path]').dataset.stepPath;
+    btn.addEventListener('click', () => addEditorTextFile(path));
+  });
+
+  elements.editorSteps.querySelectorAll('[data-policy-field]').forEach(field => {
+    const step = getStepAtPath(state.editor.steps, field.closest('[data-step-path]').dataset.stepPath);
+    field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', () => {
+      setPolicyField(step, field.dataset.policyField, field.value);
+      state.editor.dirty = true;
+    });
+  });
+
+  elements.editorSteps.querySelectorAll('[data-toggle-options]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const step = getStepAtPath(state.editor.steps, btn.dataset.toggleOptions);
+      const { openOptions } = state.editor;
+      if (openOptions.has(step)) {
+        openOptions.delete(step);
+      } else {
+        openOptions.add(step);
+      }
+      renderStepEditor();
+    });
+  });
+
+  elements.editorSteps.querySelectorAll('[data-toggle-breakpoint]').forEach(btn => {
+    btn.addEventListener('click', () => toggleEditorBreakpoint(btn.dataset.toggleBreakpoint));
+  });
+
+  elements.editorSteps.querySelectorAll('[data-toggle-secret]').forEach(btn => {
+    btn.addEventListener('click', () => toggleEditorSecret(btn.dataset.toggleSecret));
+  });
+
+  elements.editorSteps.querySelectorAll('[data-duplicate-step]').forEach(btn => {
+    btn.addEventListener('click', () => duplicateEditorStep(btn.dataset.duplicateStep));
+  });
+
+  elements.editorSteps.querySelectorAll('[data-delete-step]').forEach(btn => {
+    btn.addEventListener('click', () => deleteEditorStep(btn.dataset.deleteStep));
+  });
+
+  elements.editorSteps.querySelectorAll('[data-add-step-to]').forEach(btn => {
+    btn.addEventListener('click', () => addEditorStep(btn.dataset.addStepTo));
+  });
+
+  setupStepDragAndDrop();
+}
+
+// Blocks are followed by their branches, each with its own nested steps
+function renderEditorStepList(steps, listPath) {
+  return steps.map((step, index) => renderEditorStep(step, listPath ? `${listPath}.${index}` : String(index))).join('');
+}
+
+function renderEditorStep(step, path) {
+  const stepType = STEP_TYPES[step.type];
+  const fields = getStepFields(step);
+
+  // Keep unknown types selectable so editing doesn't silently change them
+  const typeOptions = Object.entries(STEP_TYPES).map(([type, def]) =>
+    `<option value="${type}" ${type === step.type ? 'selected' : ''}>${def.label}</option>`
+  ).join('') + (stepType ? '' : `<option value="${escapeHtml(step.type)}" selected>${escapeHtml(step.type)}</option>`);
+
+  // Dropdown fields sit next to the type, text fields go below
+  const selectFields = Object.keys(fields).filter(field => getFieldOptions(step, field));
+  const textFields = Object.keys(fields).filter(field => !getFieldOptions(step, field));
+
+  const fieldSelects = selectFields.map(field => `
+    <select class="input step-field" data-field="${field}">
+      ${Object.entries(getFieldOptions(step, field)).map(([value, label]) =>
+        `<option value="${escapeHtml(value)}" ${value === (step[field] ?? '') ? 'selected' : ''}>${escapeHtml(label)}</option>`
+      ).join('')}
+    </select>
+  `).join('');
+
+  const fieldInputs = textFields.map(field => {
+    // Secret values are masked and only sent back when replaced
+    if (field === 'value' && step.secret) {
+      const isSet = state.editor.secretNames.has(step.secret) || step.secret in state.editor.secretValues;
+      return `
+        <input
+          type="password"
+          class="input step-field"
+          data-field="value"
+          value="${escapeHtml(state.editor.secretValues[step.secret] ?? '')}"
+          placeholder="${isSet ? `•••••••• secret "${escapeHtml(step.secret)}", type to replace` : `Secret "${escapeHtml(step.secret)}" not set`}"
+          autocomplete="new-password"
+        >
+      `;
+    }
+
+    // Lists of values for forEach and a call's variables go one per line
+    if (field === 'value' && (step.type === 'forEach' || step.type === 'callWorkflow')) {
+      return `<textarea class="input step-field" data-field="value" rows="3" placeholder="${escapeHtml(fields[field])}" spellcheck="false">${escapeHtml(step.value ?? '')}</textarea>`;
+    }
+
+    return `
+      <input
+        type="text"
+        class="input step-field"
+        data-field="${field}"
+        value="${escapeHtml(step[field] ?? '')}"
+        placeholder="${escapeHtml(fields[field])}"
+        spellcheck="false"
+      >
+    `;
+  }).join('');
+
+  const row = `
+    <div class="step-row" data-step-path="${path}">
+      <span class="step-handle" title="Drag to reorder">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+          <circle cx="9" cy="6" r="1.5"/><circle cx="15" cy="6" r="1.5"/>
+          <circle cx="9" cy="12" r="1.5"/><circle cx="15" cy="12" r="1.5"/>
+          <circle cx="9" cy="18" r="1.5"/><circle cx="15" cy="18" r="1.5"/>
+        </svg>
+      </span>
+      <button class="step-number ${step.breakpoint ? 'breakpoint' : ''}" data-toggle-breakpoint="${path}" title="${step.breakpoint ? 'Remove breakpoint' : 'Set a breakpoint: debug runs pause before this step'}">${formatStepPath(path)}</button>
+      <div class="step-fields">
+        <div class="step-selects">
+          <select class="input step-field step-type" data-field="type">${typeOptions}</select>
+          ${fieldSelects}
+        </div>
+        ${fieldInputs}
+        ${step.type === 'upload' ? renderEditorFiles(step) : ''}
+        ${state.editor.openOptions.has(step) ? `
+        <div class="step-options">
+          ${renderPolicyFields(step, { ...DEFAULT_STEP_POLICY, ...state.editor.stepDefaults })}
+        </div>
+        ` : ''}
+      </div>
+      <div class="step-actions">
+        ${step.type === 'input' ? `
+        <button class="btn btn-ghost btn-icon ${step.secret ? 'active' : ''}" data-toggle-secret="${path}" title="${step.secret ? 'Stop treating value as secret' : 'Mark value as secret'}">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="5" y="11" width="14" height="10" rx="2"/>
+            <path d="${step.secret ? 'M8 11V7a4 4 0 018 0v4' : 'M8 11V7a4 4 0 017.5-2'}"/>
+          </svg>
+        </button>
+        ` : ''}
+        <button class="btn btn-ghost btn-icon ${hasStepPolicy(step) ? 'active' : ''}" data-toggle-options="${path}" title="Timeout, retries and failure handling">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M4 21v-7M4 10V3M12 21v-9M12 8V3M20 21v-5M20 12V3M1 14h6M9 8h6M17 16h6"/>
+          </svg>
+        </button>
+        <button class="btn btn-ghost btn-icon" data-duplicate-step="${path}" title="Duplicate step">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="9" y="9" width="13" height="13" rx="2"/>
+            <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+          </svg>
+        </button>
+        <button class="btn btn-ghost btn-icon danger" data-delete-step="${path}" title="Delete step">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `;
+
+  if (!STEP_BRANCHES[step.type]) return row;
+
+  return `
+    <div class="step-block">
+      ${row}
+      ${Object.entries(STEP_BRANCHES[step.type]).map(([branch, label]) => `
+        <div class="step-branch">
+          <div class="step-branch-label">${label}</div>
+          ${renderEditorStepList(step[branch] || [], `${path}.${branch}`)}
+          <button class="btn btn-ghost btn-small step-branch-add" data-add-step-to="${path}.${branch}">+ Add step</button>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Steps can be dragged between branches too: onto a row, or onto a
+// branch's "Add step" button to go last
+function setupStepDragAndDrop() {
+  let dragPath = null;
+
+  const clearDropMarkers = () => {
+    elements.editorSteps.querySelectorAll('.drop-before, .drop-after')
+      .forEach(el => el.classList.remove('drop-before', 'drop-after'));
+  };
+
+  elements.editorSteps.querySelectorAll('.step-row').forEach(row => {
+    const path = row.dataset.stepPath;
+    const handle = row.querySelector('.step-handle');
+
+    // Only the handle starts a drag, so text in the inputs stays selectable
+    handle.addEventListener('mousedown', () => { row.draggable = true; });
+    handle.addEventListener('mouseup', () => { row.draggable = false; });
+
+    row.addEventListener('dragstart', (e) => {
+      dragPath = path;
+      row.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
+    row.addEventListener('dragend', () => {
+      dragPath = null;
+      row.draggable = false;
+      row.classList.remove('dragging');
+      clearDropMarkers();
+    });
+
+    row.addEventListener('dragover', (e) => {
+      if (dragPath === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      const after = isDropAfter(row, e);
+      row.classList.toggle('drop-before', !after);
+      row.classList.toggle('drop-after', after);
+    });
+
+    row.addEventListener('dragleave', () => {
+      row.classList.remove('drop-before', 'drop-after');
+    });
+
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+      if (dragPath === null) return;
+      const { listPath, index } = splitStepPath(state.editor.steps, path);
+      moveEditorStep(dragPath, listPath, isDropAfter(row, e) ? index + 1 : index);
+    });
+  });
+
+  elements.editorSteps.querySelectorAll('[data-add-step-to]').forEach(btn => {
+    btn.addEventListener('dragover', (e) => {
+      if (dragPath === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      btn.classList.add('drop-before');
+    });
+
+    btn.addEventListener('dragleave', () => {
+      btn.classList.remove('drop-before');
+    });
+
+    btn.addEventListener('drop', (e) => {
+      e.preventDefault();
+      if (dragPath === null) return;
+      const listPath = btn.dataset.addStepTo;
+      moveEditorStep(dragPath, listPath, getStepList(state.editor.steps, listPath).length);
+    });
+  });
+}
+
+function isDropAfter(row, event) {
+  const rect = row.getBoundingClientRect();
+  return event.clientY > rect.top + rect.height / 2;
+}
+
+function updateEditorStep(path, field, value) {
+  const step = getStepAtPath(state.editor.steps, path);
+  if (!step) return;
+
+  if (field === 'value' && step.secret) {
+    state.editor.secretValues[step.secret] = value;
+    state.editor.dirty = true;
+    return;
+  }
+
+  // Branches the new type doesn't have go, with the steps in them
+  if (field === 'type') {
+    const dropped = Object.keys(STEP_BRANCHES[step.type] || {}).filter(branch => !STEP_BRANCHES[value]?.[branch]);
+    const nested = flattenSteps(dropped.flatMap(branch => step[branch] || [])).length;
+    if (nested > 0 && !confirm(`Delete the ${nested} step${nested !== 1 ? 's' : ''} nested in this one?`)) return;
+    dropped.forEach(branch => delete step[branch]);
+  }
+
+  step[field] = value;
+
+  // Give new assertion steps a sensible default check
+  if (field === 'type' && value === 'assert' && !step.assertion) {
+    step.assertion = 'exists';
+  }
+  if (field === 'type' && value === 'waitFor' && !STEP_FIELD_OPTIONS.condition[step.condition]) {
+    step.condition = 'visible';
+  }
+  if (field === 'type' && value === 'if' && !IF_CONDITIONS[step.condition]) {
+    step.condition = 'exists';
+  }
+  if (field === 'type' && value === 'forEach' && !step.source) {
+    step.source = 'elements';
+  }
+  if (field === 'type' && value === 'extract' && !step.extract) {
+    step.extract = 'text';
+  }
+  if (field === 'type') {
+    for (const branch of Object.keys(STEP_BRANCHES[value] || {})) {
+      step[branch] = step[branch] || [];
+    }
+  }
+  if (field === 'type' && value === 'upload' && !step.files) {
+    step.files = [];
+  }
+
+  state.editor.dirty = true;
+}
+
+function toggleEditorSecret(path) {
+  const step = getStepAtPath(state.editor.steps, path);
+  const { secretValues } = state.editor;
+
+  if (step.secret) {
+    // Stored secrets can't be read back, so only a value typed here carries over
+    step.value = secretValues[step.secret] ?? '';
+    delete step.secret;
+  } else {
+    step.secret = getUniqueSecretName(getSecretNameHint(step.selector));
+    secretValues[step.secret] = step.value ?? '';
+    step.value = null;
+  }
+
+  state.editor.dirty = true;
+  renderStepEditor();
+}
+
+function getSecretNameHint(selector) {
+  const match = (selector || '').match(/\[name="([^"]+)"\]|^#([\w-]+)$/);
+  return (match?.[1] || match?.[2] || 'secret').replace(/\W+/g, '_');
+}
+
+function getUniqueSecretName(base) {
+  const { steps, secretNames, secretValues } = state.editor;
+  const taken = new Set([...secretNames, ...Object.keys(secretValues), ...flattenSteps(steps).map(s => s.secret)]);
+
+  let name = base;
+  let suffix = 2;
+  while (taken.has(name)) {
+    name = `${base}_${suffix++}`;
+  }
+  return name;
+}
+
+function collectEditorSecrets() {
+  const { steps, secretNames, secretValues } = state.editor;
+  const used = new Set(flattenSteps(steps).map(step => step.secret).filter(Boolean));
+  const secrets = {};
+
+  // Values typed in this session (left blank means "keep the stored one")
+  for (const [name, value] of Object.entries(secretValues)) {
+    if (used.has(name) && value !== '') secrets[name] = value;
+  }
+
+  // Drop stored secrets no step refers to anymore
+  for (const name of secretNames) {
+    if (!used.has(name)) secrets[name] = null;
+  }
+
+  return secrets;
+}
+
+// Stored files show their size; text files are templates edited in place
+function renderEditorFiles(step) {
+  const { storedFileIds, newFiles } = state.editor;
+
+  const rows = (step.files || []).map((file, fileIndex) => {
+    const isText = typeof file.content === 'string';
+    const isStored = file.fileId && (storedFileIds.has(file.fileId) || file.fileId in newFiles);
+    const status = isText ? 'Text' : isStored ? formatFileSize(file.size) : 'Not stored, attach it again';
+
+    return `
+      <div class="step-file" data-file-index="${fileIndex}">
+        <div class="step-file-header">
+          <input type="text" class="input" data-file-field="name" value="${escapeHtml(file.name ?? '')}" placeholder="File name" spellcheck="false">
+          <span class="step-file-status ${isText || isStored ? '' : 'missing'}">${status}</span>
+          <button class="btn btn-ghost btn-icon danger" data-remove-file="${fileIndex}" title="Remove file">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M18 6L6 18M6 6l12 12"/>
+            </svg>
+          </button>
+        </div>
+        ${isText ? `<textarea class="input" data-file-field="content" rows="3" placeholder="File contents, {{variables}} allowed" spellcheck="false">${escapeHtml(file.content)}</textarea>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="step-files">
+      ${rows}
+      <div class="step-file-actions">
+        <label class="btn btn-ghost btn-small">
+          Attach files
+          <input type="file" multiple hidden data-attach-files>
+        </label>
+        <button class="btn btn-ghost btn-small" data-add-text-file>New text file</button>
+      </div>
+    </div>
+  `;
+}
+
+// Same limit as recording; larger files would bloat storage and every run
+const MAX_UPLOAD_FILE_SIZE = 5 * 1024 * 1024;
+
+async function attachEditorFiles(path, fileList) {
+  const step = getStepAtPath(state.editor.steps, path);
+  step.files = step.files || [];
+
+  for (const file of Array.from(fileList)) {
+    if (file.size > MAX_UPLOAD_FILE_SIZE) {
+      showError(`${file.name} is larger than ${formatFileSize(MAX_UPLOAD_FILE_SIZE)}`);
+      continue;
+    }
+
+    try {
+      const fileId = Math.random().toString(36).substring(2, 10);
+      state.editor.newFiles[fileId] = { name: file.name, type: file.type, size: file.size, data: await readFileAsBase64(file) };
+      step.files.push({ name: file.name, type: file.type, size: file.size, fileId });
+      state.editor.dirty = true;
+    } catch (err) {
+      showError(`Could not read ${file.name}: ${err.message}`);
+    }
+  }
+
+  renderStepEditor();
+}
+
+function addEditorTextFile(path) {
+  const step = getStepAtPath(state.editor.steps, path);
+  step.files = [...(step.files || []), { name: 'file.txt', type: 'text/plain', content: '' }];
+  state.editor.dirty = true;
+  renderStepEditor();
+}
+
+function removeEditorFile(path, fileIndex) {
+  getStepAtPath(state.editor.steps, path).files.splice(fileIndex, 1);
+  state.editor.dirty = true;
+  renderStepEditor();
+}
+
+function collectEditorFiles() {
+  const { steps, storedFileIds, newFiles } = state.editor;
+  const used = new Set(flattenSteps(steps).flatMap(step => (step.files || []).map(file => file.fileId)).filter(Boolean));
+  const files = {};
+
+  for (const [fileId, file] of Object.entries(newFiles)) {
+    if (used.has(fileId)) files[fileId] = file;
+  }
+
+  // Drop stored files no step refers to anymore
+  for (const fileId of storedFileIds) {
+    if (!used.has(fileId)) files[fileId] = null;
+  }
+
+  return files;
+}
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function formatFileSize(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function addEditorStep(listPath = '') {
+  const list = getStepList(state.editor.steps, listPath);
+  list.push({ type: 'click', selector: '', value: null });
+  state.editor.dirty = true;
+  renderStepEditor();
+
+  // Bring the new step into view
+  const path = listPath ? `${listPath}.${list.length - 1}` : String(list.length - 1);
+  elements.editorSteps.querySelector(`[data-step-path="${path}"]`)?.scrollIntoView({ block: 'nearest' });
+}
+
+function toggleEditorBreakpoint(path) {
+  const step = getStepAtPath(state.editor.steps, path);
+  if (step.breakpoint) {
+    delete step.breakpoint;
+  } else {
+    step.breakpoint = true;
+  }
+  state.editor.dirty = true;
+  renderStepEditor();
+}
+
+function duplicateEditorStep(path) {
+  const { list, index } = splitStepPath(state.editor.steps, path);
+  const copy = JSON.parse(JSON.stringify(list[index]));
+  list.splice(index + 1, 0, copy);
+  state.editor.dirty = true;
+  renderStepEditor();
+}
+
+function deleteEditorStep(path) {
+  const { list, index } = splitStepPath(state.editor.steps, path);
+  list.splice(index, 1);
+  state.editor.dirty = true;
+  renderStepEditor();
+}
+
+function moveEditorStep(fromPath, toListPath, to) {
+  // A block can't go inside itself
+  if (toListPath === fromPath || toListPath.startsWith(`${fromPath}.`)) return;
+
+  const { list: fromList, index: from } = splitStepPath(state.editor.steps, fromPath);
+  const toList = getStepList(state.editor.steps, toListPath);
+  // Dropping right before or after itself is a no-op
+  if (toList === fromList && (to === from || to === from + 1)) return;
+
+  const [step] = fromList.splice(from, 1);
+  toList.splice(toList === fromList && to > from ? to - 1 : to, 0, step);
+  state.editor.dirty = true;
+  renderStepEditor();
+}
+
+// ============================================================================
+// Import/Export
+// ============================================================================
+
+async function handleExportWorkflows() {
+  if (state.workflows.length === 0) {
+    showError('No workflows to export');
+    return;
+  }
+
+  try {
+    // Secret values live in their own store, so they never end up in the file
+    const exportData = {
+      version: '1.0',
+      exportedAt: new Date().toISOString(),
+      workflows: state.workflows
+    };
+
+    // Files of upload steps do travel with the workflows
+    const files = {};
+    for (const workflow of state.workflows) {
+      if (!flattenSteps(workflow.steps).some(step => step.type === 'upload')) continue;
+      const response = await sendMessage({ type: 'GET_WORKFLOW_FILES', data: { workflowId: workflow.id } });
+      if (Object.keys(response.files || {}).length > 0) files[workflow.id] = response.files;
+    }
+    if (Object.keys(files).length > 0) {
+      exportData.files = files;
+    }
+
+    // And so do datasets, without the results of their last run
+    const datasets = {};
+    for (const workflow of state.workflows.filter(w => w.dataset)) {
+      const response = await sendMessage({ type: 'GET_DATASET', data: { workflowId: workflow.id } });
+      if (response.dataset) {
+        const { name, headers, columns, rows } = response.dataset;
+        datasets[workflow.id] = { name, headers, columns, rows };
+      }
+    }
+    if (Object.keys(datasets).length > 0) {
+      exportData.datasets = datasets;
+    }
+
+    downloadFile(
+      JSON.stringify(exportData, null, 2),
+      `wave-workflows-${new Date().toISOString().split('T')[0]}.json`,
+      'application/json'
+    );
+    showSuccess(`Exported ${state.workflows.length} workflow(s)`);
+  } catch (err) {
+    showError('Export failed: ' + err.message);
+  }
+}
+
+async function handleImportWorkflows(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const data = JSON.parse(text);
+    const { workflows, skipped } = parseImportFile(data, file.name);
+
+    // Validate each workflow
+    const validWorkflows = workflows.filter(w =>
+      w.id && w.name && Array.isArray(w.steps)
+    );
+
+    if (validWorkflows.length === 0) {
+      throw new Error('No valid workflows found in file');
+    }
+
+    // Import workflows (merge with existing, update if same ID)
+    let imported = 0;
+    let updated = 0;
+
+    for (const workflow of validWorkflows) {
+      const existing = state.workflows.find(w => w.id === workflow.id);
+      if (existing) {
+        updated++;
+      } else {
+        imported++;
+      }
+
+      // The dataset summary is set again below if the file carries the dataset itself
+      const { dataset, ...rest } = workflow;
+      await sendMessage({
+        type: 'SAVE_WORKFLOW',
+        data: {
+          ...rest,
+          ...(existing?.dataset ? { dataset: existing.dataset } : {}),
+          updatedAt: new Date().toISOString()
+        }
+      });
+
+      const files = data.files?.[workflow.id];
+      if (files) {
+        await sendMessage({ type: 'SAVE_WORKFLOW_FILES', data: { workflowId: workflow.id, files } });
+      }
+
+      if (data.datasets?.[workflow.id]) {
+        const response = await sendMessage({ type: 'SAVE_DATASET', data: { workflowId: workflow.id, dataset: data.datasets[workflow.id] } });
+        if (!response.success) throw new Error(response.error);
+      }
+    }
+
+    await loadWorkflows();
+
+    const msg = [];
+    if (imported > 0) msg.push(`${imported} imported`);
+    if (updated > 0) msg.push(`${updated} updated`);
+    showSuccess(`Workflows: ${msg.join(', ')}`);
+
+    if (skipped.length > 0) {
+      // Recordings from other tools carry no secrets, only steps we couldn't map
+      showSkippedImportSteps(skipped);
+    } else {
+      // Exports never include secret values, so ask for any this machine lacks
+      await promptForMissingSecrets(validWorkflows);
+    }
+
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      showError('Invalid JSON file');
+    } else {
+      showError('Import failed: ' + err.message);
+    }
+  }
+
+  // Reset file input
+  event.target.value = '';
+}
+
+async function promptForMissingSecrets(workflows) {
+  const missing = [];
+
+  for (const workflow of workflows) {
+    const names = [...new Set(flattenSteps(workflow.steps).map(step => step.secret).filter(Boolean))];
+    if (names.length === 0) continue;
+
+    const response = await sendMessage({ type: 'GET_SECRET_NAMES', data: { workflowId: workflow.id } });
+    const stored = new Set(response.names || []);
+    for (const name of names) {
+      if (!stored.has(name)) missing.push({ workflow, name });
+    }
+  }
+
+  if (missing.length === 0) return;
+
+  const modal = openModal('Secrets needed', `
+    <form class="run-with-form">
+      <p class="editor-hint">These imported workflows use secret values that aren't included in exports. Leave a field empty to set it later in the step editor.</p>
+      ${missing.map(({ workflow, name }, index) => `
+        <div class="input-group">
+          <label class="label" for="import-secret-${index}">${escapeHtml(workflow.name)} · ${escapeHtml(name)}</label>
+          <input type="password" id="import-secret-${index}" class="input" data-secret-index="${index}" autocomplete="new-password">
+        </div>
+      `).join('')}
+      <div class="modal-actions">
+        <button type="button" class="btn btn-ghost btn-small" data-modal-close>Later</button>
+        <button type="submit" class="btn btn-success btn-small">Save secrets</button>
+      </div>
+    </form>
+  `);
+
+  modal.querySelector('[data-secret-index]')?.focus();
+
+  modal.querySelector('form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    // Group entered values by workflow
+    const byWorkflow = {};
+    modal.querySelectorAll('[data-secret-index]').forEach(input => {
+      if (!input.value) return;
+      const { workflow, name } = missing[parseInt(input.dataset.secretIndex)];
+      byWorkflow[workflow.id] = { ...byWorkflow[workflow.id], [name]: input.value };
+    });
+
+    try {
+      for (const [workflowId, secrets] of Object.entries(byWorkflow)) {
+        await sendMessage({ type: 'SAVE_SECRETS', data: { workflowId, secrets } });
+      }
+      closeModal();
+      if (Object.keys(byWorkflow).length > 0) showSuccess('Secrets saved');
+    } catch (err) {
+      showError('Failed to save secrets: ' + err.message);
+    }
+  });
+}
+
+// ============================================================================
+// Recording Importers (DevTools Recorder / Selenium IDE)
+// ============================================================================
+
+const KEY_MODIFIERS = ['Control', 'Alt', 'Shift', 'Meta'];
+
+// Selenium IDE ${KEY_...} tokens -> Wave key names
+const SELENIUM_KEYS = {
+  ENTER: 'Enter', RETURN: 'Enter', TAB: 'Tab', ESC: 'Escape', ESCAPE: 'Escape',
+  BACKSPACE: 'Backspace', BKSP: 'Backspace', DELETE: 'Delete', DEL: 'Delete', SPACE: 'Space',
+  UP: 'ArrowUp', DOWN: 'ArrowDown', LEFT: 'ArrowLeft', RIGHT: 'ArrowRight',
+  HOME: 'Home', END: 'End', PAGE_UP: 'PageUp', PAGE_DOWN: 'PageDown', PGUP: 'PageUp', PGDN: 'PageDown',
+  F1: 'F1', F2: 'F2', F3: 'F3', F4: 'F4', F5: 'F5', F6: 'F6',
+  F7: 'F7', F8: 'F8', F9: 'F9', F10: 'F10', F11: 'F11', F12: 'F12'
+};
+
+// Selenium IDE commands on an element that map to Wave steps
+const SELENIUM_ELEMENT_COMMANDS = [
+  'click', 'clickAt', 'doubleClick', 'doubleClickAt', 'mouseOver',
+  'dragAndDropToObject', 'type', 'sendKeys', 'select'
+];
+
+const SELENIUM_WAITS = {
+  waitForElementPresent: 'visible',
+  waitForElementVisible: 'visible',
+  waitForElementNotPresent: 'hidden',
+  waitForElementNotVisible: 'hidden',
+  waitForElementEditable: 'enabled'
+};
+
+const SELENIUM_ASSERTIONS = {
+  assertElementPresent: 'exists',
+  verifyElementPresent: 'exists',
+  assertElementNotPresent: 'absent',
+  verifyElementNotPresent: 'absent',
+  assertText: 'textEquals',
+  verifyText: 'textEquals',
+  assertValue: 'valueEquals',
+  verifyValue: 'valueEquals',
+  assertTitle: 'titleMatches',
+  verifyTitle: 'titleMatches'
+};
+
+/**
+ * Detect the format of an import file and convert it to Wave workflows.
+ * Returns the workflows plus a list of { workflow, step, reason } entries
+ * for commands that have no Wave equivalent.
+ */
+function parseImportFile(data, fileName) {
+  if (Array.isArray(data?.workflows)) {
+    return { workflows: data.workflows, skipped: [] };
+  }
+
+  if (Array.isArray(data?.tests) && (data.version || fileName.endsWith('.side'))) {
+    return importSeleniumProject(data);
+  }
+
+  if (Array.isArray(data?.steps) && data.steps.every(step => typeof step?.type === 'string')) {
+    return importDevToolsRecording(data, fileName);
+  }
+
+  throw new Error('Invalid file format');
+}
+
+function importDevToolsRecording(recording, fileName) {
+  const name = recording.title || fileName.replace(/\.json$/i, '');
+  const skipped = [];
+  const steps = [];
+  const heldModifiers = new Set();
+
+  recording.steps.forEach((source, index) => {
+    const skip = reason => skipped.push({ workflow: name, step: `${index + 1}. ${source.type}`, reason });
+
+    if (source.target && source.target !== 'main') return skip('runs in another tab');
+    if (source.frame?.length) return skip('runs inside an iframe');
+
+    switch (source.type) {
+      case 'navigate':
+        return steps.push({ type: 'navigate', value: source.url });
+
+      case 'scroll':
+        if (!source.selectors) {
+          return steps.push({ type: 'scroll', selector: null, value: `${source.x || 0},${source.y || 0}` });
+        }
+        // falls through
+
+      case 'click':
+      case 'doubleClick':
+      case 'hover':
+      case 'change':
+      case 'waitForElement': {
+        const target = convertDevToolsSelectors(source.selectors);
+        if (!target) return skip('no supported selector');
+
+        if (source.type === 'click') {
+          if (source.button === 'secondary') return steps.push({ type: 'contextmenu', ...target });
+          if (source.button && source.button !== 'primary') return skip(`${source.button} button click`);
+          return steps.push({ type: 'click', ...target });
+        }
+        if (source.type === 'doubleClick') {
+          return steps.push({ type: 'dblclick', ...target });
+        }
+        if (source.type === 'hover') {
+          return steps.push({ type: 'hover', ...target });
+        }
+        if (source.type === 'scroll') {
+          return steps.push({ type: 'scroll', ...target, value: `${source.x || 0},${source.y || 0}` });
+        }
+        if (source.type === 'change') {
+          return steps.push({ type: 'input', ...target, value: source.value ?? '' });
+        }
+        if (source.count !== undefined && source.count !== 1 && source.count !== 0) {
+          return skip('element count check');
+        }
+        const absent = source.visible === false || source.count === 0;
+        return steps.push({ type: 'waitFor', ...target, condition: absent ? 'hidden' : 'visible' });
+      }
+
+      case 'keyDown': {
+        // Modifiers are held down in steps of their own; Wave records the combination
+        if (KEY_MODIFIERS.includes(source.key)) {
+          heldModifiers.add(source.key);
+          return;
+        }
+        const key = source.key === ' ' ? 'Space' : source.key.length === 1 ? source.key.toUpperCase() : source.key;
+        const modifiers = KEY_MODIFIERS.filter(modifier => heldModifiers.has(modifier));
+        return steps.push({ type: 'keydown', selector: null, value: [...modifiers, key].join('+') });
+      }
+
+      case 'keyUp':
+        heldModifiers.delete(source.key);
+        return;
+
+      default:
+        return skip('not supported');
+    }
+  });
+
+  return {
+    workflows: [createImportedWorkflow(name, steps, 'devtools-recorder')],
+    skipped
+  };
+}
+
+/**
+ * DevTools Recorder lists selectors as arrays of parts, each part inside the
+ * previous part's shadow root. CSS chains become host >>> inner selectors and
+ * single ARIA selectors an aria-label match; XPath and text selectors are dropped.
+ */
+function convertDevToolsSelectors(selectors = []) {
+  const converted = [];
+
+  for (const parts of selectors) {
+    const list = Array.isArray(parts) ? parts : [parts];
+    if (list.length === 0 || !list.every(part => typeof part === 'string')) continue;
+
+    if (list.length > 1) {
+      if (list.every(part => !/^(aria|xpath|text|pierce)\//.test(part))) {
+        converted.push({ strategy: 'css', selector: list.join(' >>> ') });
+      }
+      continue;
+    }
+
+    const selector = list[0];
+    if (selector.startsWith('xpath/') || selector.startsWith('text/')) continue;
+
+    if (selector.startsWith('aria/')) {
+      const label = selector.slice('aria/'.length).replace(/\[role="[^"]*"\]$/, '');
+      if (label) converted.push({ strategy: 'ariaLabel', selector: `[aria-label="${cssString(label)}"]` });
+    } else if (selector.startsWith('pierce/')) {
+      converted.push({ strategy: 'css', selector: selector.slice('pierce/'.length) });
+    } else {
+      converted.push({ strategy: 'css', selector });
+    }
+  }
+
+  // Prefer CSS as the primary selector; ARIA names only approximate aria-label
+  converted.sort((a, b) => (a.strategy === 'css' ? 0 : 1) - (b.strategy === 'css' ? 0 : 1));
+  return buildImportedTarget(converted);
+}
+
+function importSeleniumProject(project) {
+  const skipped = [];
+
+  const workflows = project.tests.map(test => {
+    const name = test.name || project.name || 'Imported test';
+    const steps = [];
+
+    (test.commands || []).forEach((source, index) => {
+      const skip = reason => skipped.push({ workflow: name, step: `${index + 1}. ${source.command}`, reason });
+      const command = source.command || '';
+
+      // Commented-out commands start with //
+      if (!command || command.startsWith('//')) return;
+
+      if (command === 'open') {
+        const url = resolveSeleniumUrl(source.target, project.url);
+        return url ? steps.push({ type: 'navigate', value: url }) : skip('invalid URL');
+      }
+
+      if (command === 'pause') {
+        const ms = parseInt(source.value || source.target, 10);
+        return Number.isFinite(ms) ? steps.push({ type: 'wait', value: String(ms) }) : skip('invalid duration');
+      }
+
+      if (command === 'assertTitle' || command === 'verifyTitle') {
+        return steps.push({ type: 'assert', assertion: 'titleMatches', value: source.target });
+      }
+
+      if (!SELENIUM_ELEMENT_COMMANDS.includes(command) && !SELENIUM_ASSERTIONS[command] && !SELENIUM_WAITS[command]) {
+        return skip('not supported');
+      }
+
+      const target = convertSeleniumLocators(source.target, source.targets);
+      if (!target) return skip('no supported locator');
+
+      switch (command) {
+        case 'click':
+        case 'clickAt':
+          return steps.push({ type: 'click', ...target });
+
+        case 'doubleClick':
+        case 'doubleClickAt':
+          return steps.push({ type: 'dblclick', ...target });
+
+        case 'mouseOver':
+          return steps.push({ type: 'hover', ...target });
+
+        case 'dragAndDropToObject': {
+          const dropTarget = convertSeleniumLocators(source.value);
+          if (!dropTarget) return skip('no supported drop locator');
+          return steps.push({ type: 'dragAndDrop', ...target, target: dropTarget.selector });
+        }
+
+        case 'type':
+          return steps.push({ type: 'input', ...target, value: source.value ?? '' });
+
+        case 'sendKeys': {
+          const parts = splitSeleniumKeys(source.value ?? '');
+          if (!parts) return skip('unsupported special key');
+          for (const part of parts) {
+            steps.push(part.key
+              ? { type: 'keydown', ...target, value: part.key }
+              : { type: 'input', ...target, value: part.text });
+          }
+          return;
+        }
+
+        case 'select': {
+          // Wave sets the select's value, so only value= option locators map directly
+          const match = (source.value || '').match(/^value=(.*)$/);
+          if (!match) return skip('select by label or index');
+          return steps.push({ type: 'input', ...target, value: match[1] });
+        }
+
+        case 'waitForElementPresent':
+        case 'waitForElementVisible':
+        case 'waitForElementNotPresent':
+        case 'waitForElementNotVisible':
+        case 'waitForElementEditable':
+          return steps.push({ type: 'waitFor', ...target, condition: SELENIUM_WAITS[command] });
+
+        default: {
+          const assertion = SELENIUM_ASSERTIONS[command];
+          const step = { type: 'assert', ...target, assertion };
+          if (assertion === 'textEquals' || assertion === 'valueEquals') step.value = source.value ?? '';
+          return steps.push(step);
+        }
+      }
+    });
+
+    return createImportedWorkflow(name, steps, 'selenium-ide');
+  });
+
+  return { workflows, skipped };
+}
+
+/**
+ * Selenium IDE locators look like id=x, css=x, name=x or linkText=x.
+ * XPath and partial link text have no Wave equivalent.
+ */
+function convertSeleniumLocators(target, targets = []) {
+  const candidates = [target, ...targets.map(entry => Array.isArray(entry) ? entry[0] : entry)];
+  const converted = [];
+
+  for (const locator of candidates) {
+    if (typeof locator !== 'string') continue;
+
+    const separator = locator.indexOf('=');
+    const strategy = separator > 0 ? locator.slice(0, separator) : '';
+    const value = locator.slice(separator + 1);
+
+    switch (strategy) {
+      case 'id':
+        converted.push({ strategy: 'id', selector: `#${CSS.escape(value)}` });
+        break;
+      case 'css':
+        converted.push({ strategy: 'css', selector: value });
+        break;
+      case 'name':
+        converted.push({ strategy: 'name', selector: `[name="${cssString(value)}"]` });
+        break;
+      case 'linkText':
+        converted.push({ strategy: 'text', selector: `a:text("${value.replace(/"/g, '\\"')}")` });
+        break;
+    }
+  }
+
+  return buildImportedTarget(converted);
+}
+
+// "foo${KEY_ENTER}" -> [{ text: 'foo' }, { key: 'Enter' }], or null for unknown keys
+function splitSeleniumKeys(value) {
+  const parts = [];
+  for (const chunk of value.split(/(\$\{KEY_\w+\})/).filter(Boolean)) {
+    const token = chunk.match(/^\$\{KEY_(\w+)\}$/);
+    if (!token) {
+      parts.push({ text: chunk });
+    } else if (SELENIUM_KEYS[token[1]]) {
+      parts.push({ key: SELENIUM_KEYS[token[1]] });
+    } else {
+      return null;
+    }
+  }
+  return parts;
+}
+
+function buildImportedTarget(converted) {
+  const locators = converted.filter((locator, index) =>
+    converted.findIndex(other => other.selector === locator.selector) === index
+  );
+  if (locators.length === 0) return null;
+
+  return { selector: locators[0].selector, locators };
+}
+
+function resolveSeleniumUrl(target, baseUrl) {
+  try {
+    return new URL(target, baseUrl || undefined).href;
+  } catch {
+    return null;
+  }
+}
+
+function createImportedWorkflow(name, steps, source) {
+  const now = new Date().toISOString();
+  return {
+    id: Math.random().toString(36).substring(2, 10),
+    name,
+    steps: steps.map(step => ({ ...step, timestamp: Date.now() })),
+    status: 'active',
+    importedFrom: source,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+function cssString(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function showSkippedImportSteps(skipped) {
+  openModal('Some steps were skipped', `
+    <p class="editor-hint">These commands have no Wave equivalent and were left out. Review the imported workflows in the step editor before running them.</p>
+    <ul class="import-skipped">
+      ${skipped.map(entry => `
+        <li>
+          <span class="import-skipped-step">${escapeHtml(entry.workflow)} · ${escapeHtml(entry.step)}</span>
+          <span class="import-skipped-reason">${escapeHtml(entry.reason)}</span>
+        </li>
+      `).join('')}
+    </ul>
+    <div class="modal-actions">
+      <button type="button" class="btn btn-success btn-small" data-modal-close>OK</button>
+    </div>
+  `);
+}
+
+// ============================================================================
+// Script Export (Playwright / Puppeteer)
+// ============================================================================
+
+const SCRIPT_TARGETS = {
+  playwright: { name: 'Playwright', label: 'Playwright test', extension: 'spec.ts', generate: generatePlaywrightTest, translate: translateStepForPlaywright },
+  puppeteer: { name: 'Puppeteer', label: 'Puppeteer script', extension: 'puppeteer.js', generate: generatePuppeteerScript, translate: translateStepForPuppeteer }
+};
+
+async function exportWorkflowScript(workflowId, target) {
+  const workflow = state.workflows.find(w => w.id === workflowId);
+  if (!workflow) return;
+
+  try {
+    // Upload steps embed their files in the script, including those of called workflows
+    let files = {};
+    for (const source of [workflow, ...getCalledWorkflows(workflow)]) {
+      if (!flattenSteps(source.steps).some(step => step.type === 'upload')) continue;
+      const response = await sendMessage({ type: 'GET_WORKFLOW_FILES', data: { workflowId: source.id } });
+      files = { ...files, ...response.files };
+    }
+
+    const { label, extension, generate } = SCRIPT_TARGETS[target];
+    downloadFile(generate(workflow, files), `wave-${slugify(workflow.name)}.${extension}`, 'text/javascript');
+    showSuccess(`Exported ${label}`);
+  } catch (err) {
+    showError('Export failed: ' + err.message);
+  }
+}
+
+function generatePlaywrightTest(workflow, files = {}) {
+  const script = { workflow, files, calls: new Map() };
+  const steps = translateScriptSteps(workflow.steps, '', 'playwright', script);
+
+  const lines = [
+    ...getScriptHeader(workflow, 'npx playwright test'),
+    `import { test, expect${script.calls.size > 0 ? ', type Page' : ''} } from '@playwright/test';`,
+    '',
+    `test(${scriptString(workflow.name)}, async ({ page }) => {`,
+    ...indentLines(getScriptVariableLines(workflow), 1),
+    ...indentLines(steps, 1)
+  ];
+
+  if (lines[lines.length - 1] === '') lines.pop();
+  lines.push('});', '', ...getScriptCallFunctions(script));
+  return lines.join('\n');
+}
+
+function generatePuppeteerScript(workflow, files = {}) {
+  const lines = [
+    ...getScriptHeader(workflow, 'node <this file>'),
+    `const puppeteer = require('puppeteer');`,
+    `const assert = require('node:assert');`
+  ];
+
+  // Puppeteer uploads from disk, so files are written to a temporary directory first
+  if ([workflow, ...getCalledWorkflows(workflow)].some(source => flattenSteps(source.steps).some(step => step.type === 'upload'))) {
+    lines.push(
+      `const fs = require('node:fs');`,
+      `const os = require('node:os');`,
+      `const path = require('node:path');`
+    );
+  }
+
+  lines.push(
+    '',
+    '(async () => {',
+    '  const browser = await puppeteer.launch();',
+    '  const page = await browser.newPage();',
+    '',
+    '  try {',
+    ...indentLines(getScriptVariableLines(workflow), 2)
+  );
+
+  const script = { workflow, files, calls: new Map() };
+  lines.push(...indentLines(translateScriptSteps(workflow.steps, '', 'puppeteer', script), 2));
+
+  if (lines[lines.length - 1] === '') lines.pop();
+  lines.push(
+    '  } finally {',
+    '    await browser.close();',
+    '  }',
+    '})().catch(err => {',
+    '  console.error(err);',
+    '  process.exit(1);',
+    '});',
+    '',
+    ...getScriptCallFunctions(script)
+  );
+  return lines.join('\n');
+}
+
+function getScriptHeader(workflow, runCommand) {
+  const lines = [
+    `// Generated by Wave from "${workflow.name.replace(/\n/g, ' ')}" on ${new Date().toISOString().split('T')[0]}`,
+    `// Run with: ${runCommand}`
+  ];
+
+  const secrets = [...new Set([workflow, ...getCalledWorkflows(workflow)]
+    .flatMap(source => flattenSteps(source.steps))
+    .map(step => step.secret)
+    .filter(Boolean))];
+  if (secrets.length > 0) {
+    lines.push(`// Secrets are read from the environment: ${secrets.map(getSecretEnvName).join(', ')}`);
+  }
+
+  lines.push('');
+  return lines;
+}
+
+// A called workflow's function takes the variables passed to it in `passed`
+function getScriptVariableLines(workflow, passed = null) {
+  const defaults = workflow.variables || {};
+  const names = [...new Set([...Object.keys(defaults), ...findStepVariables(workflow.steps)])];
+  // Loops set vars.index and their item variable as they go, extract steps their variable
+  const setsVars = flattenSteps(workflow.steps).some(step => ['repeat', 'forEach', 'extract'].includes(step.type));
+  if (names.length === 0 && passed) return [`const vars = { ...${passed} };`, ''];
+  if (names.length === 0) return setsVars ? ['const vars = {};', ''] : [];
+
+  // Built-ins are generated once, like a Wave run; others can come from the environment
+  const builtins = {
+    timestamp: 'String(Date.now())',
+    uuid: 'crypto.randomUUID()',
+    randomEmail: '`wave-${Date.now()}@example.com`'
+  };
+
+  return [
+    'const vars = {',
+    ...names.map((name, i) => {
+      const expr = builtins[name] ||
+        `process.env.${getVariableEnvName(name)} ?? ${scriptString(defaults[name] ?? '')}`;
+      return `  ${name}: ${expr}${i < names.length - 1 || passed ? ',' : ''}`;
+    }),
+    ...(passed ? [`  ...${passed}`] : []),
+    '};',
+    ''
+  ];
+}
+
+// `script` carries the workflow, its stored files and, inside a forEach over
+// elements, the variable holding the current element
+function translateScriptSteps(steps, listPath, target, script) {
+  const { translate } = SCRIPT_TARGETS[target];
+
+  return (steps || []).flatMap((step, i) => {
+    const path = listPath ? `${listPath}.${i}` : String(i);
+    const lines = translate(step, path, script);
+    // Failure handling only covers a block's own check, not the steps inside it
+    return CONTROL_STEP_TYPES.includes(step.type) ? lines : applyScriptStepPolicy(lines, step, path, script.workflow);
+  });
+}
+
+function translateNestedScriptSteps(step, path, branch, target, script) {
+  const lines = translateScriptSteps(step[branch], `${path}.${branch}`, target, script);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return indentLines(lines.length > 0 ? lines : ['// No steps'], 1);
+}
+
+// Called workflows become functions, written once after the test or script.
+// A call back into a workflow that is already running isn't translated, as
+// Wave would stop it
+function getScriptCallLines(step, target, script) {
+  const workflow = state.workflows.find(w => w.id === step.workflowId);
+  if (!workflow) {
+    return ['// Not translated: the called workflow no longer exists'];
+  }
+
+  const callStack = script.callStack || [script.workflow.id];
+  if (callStack.includes(workflow.id)) {
+    return [`// Not translated: recursive call to "${workflow.name.replace(/\n/g, ' ')}"`];
+  }
+
+  let variables;
+  try {
+    variables = parseCallVariables(step.value);
+  } catch (err) {
+    return [`// Not translated: ${err.message}`];
+  }
+
+  if (!script.calls.has(workflow.id)) {
+    const taken = new Set([...script.calls.values()].map(call => call.name));
+    const base = `run${slugify(workflow.name).replace(/(^|-)(\w)/g, (match, dash, char) => char.toUpperCase())}`;
+    let name = base;
+    for (let n = 2; taken.has(name); n++) {
+      name = `${base}${n}`;
+    }
+
+    // Registered before translating, so nested calls to it reuse the function
+    const call = { name, lines: [] };
+    script.calls.set(workflow.id, call);
+
+    const body = [
+      ...getScriptVariableLines(workflow, 'passed'),
+      ...translateScriptSteps(workflow.steps, '', target, {
+        ...script, workflow, element: undefined, loopDepth: 0, callStack: [...callStack, workflow.id]
+      })
+    ];
+    if (body[body.length - 1] === '') body.pop();
+
+    const params = target === 'playwright' ? 'page: Page, passed: Record<string, string> = {}' : 'page, passed = {}';
+    call.lines = [
+      `// Called workflow "${workflow.name.replace(/\n/g, ' ')}"`,
+      `async function ${name}(${params}) {`,
+      ...indentLines(body, 1),
+      '}',
+      ''
+    ];
+  }
+
+  const args = Object.entries(variables).map(([name, value]) => `${name}: ${scriptValue({ value })}`);
+  return [`await ${script.calls.get(workflow.id).name}(page${args.length > 0 ? `, { ${args.join(', ')} }` : ''});`];
+}
+
+function getScriptCallFunctions(script) {
+  return [...script.calls.values()].flatMap(call => call.lines);
+}
+
+// Lists and tables are kept as JSON, as in Wave. Scripts take a table's
+// first row as its header, where Wave looks for header cells
+const SCRIPT_TABLE_READER = "table => { const [header, ...rows] = [...table.querySelectorAll('tr')].map(row => [...row.children].map(cell => cell.innerText.trim())); return rows.map(cells => Object.fromEntries(header.map((name, i) => [name, cells[i] ?? '']))); }";
+
+function getScriptExtractLine(step, reader) {
+  const name = step.variable?.trim();
+  if (!name || !/^\w+$/.test(name)) {
+    return `// Not translated: invalid variable name "${name ?? ''}"`;
+  }
+  return reader ? `vars.${name} = ${reader()};` : `// Not translated: unknown extraction "${step.extract}"`;
+}
+
+// Nested loops get their own names (item, item2...) so inner ones can start from outer elements
+function getScriptLoopNames(script) {
+  const depth = (script.loopDepth || 0) + 1;
+  const suffix = depth > 1 ? depth : '';
+  return { index: `i${suffix}`, element: `item${suffix}`, script: { ...script, loopDepth: depth } };
+}
+
+function translateStepForPlaywright(step, path, script = {}) {
+  const { files = {}, element } = script;
+  const lines = [`// Step ${formatStepPath(path)}: ${describeStepForScript(step)}`];
+  const locate = (selector = step.selector) => {
+    const { expr, note } = getPlaywrightScopedLocator(selector, getPlaywrightFrameScope(step.frame), element);
+    if (note) lines.push(`// ${note}`);
+    return expr;
+  };
+
+  switch (step.type) {
+    case 'navigate':
+      lines.push(`await page.goto(${scriptValue(step)});`);
+      break;
+
+    case 'click':
+      lines.push(`await ${locate()}.click();`);
+      break;
+
+    case 'dblclick':
+      lines.push(`await ${locate()}.dblclick();`);
+      break;
+
+    case 'contextmenu':
+      lines.push(`await ${locate()}.click({ button: 'right' });`);
+      break;
+
+    case 'hover':
+      lines.push(`await ${locate()}.hover();`);
+      break;
+
+    case 'scroll': {
+      const position = parseScrollPosition(step.value);
+      if (step.value === 'intoView') {
+        lines.push(`await ${locate()}.scrollIntoViewIfNeeded();`);
+      } else if (!position) {
+        lines.push(`// Not translated: invalid scroll position "${step.value}"`);
+      } else if (step.selector) {
+        lines.push(`await ${locate()}.evaluate(el => el.scrollTo(${position.x}, ${position.y}));`);
+      } else {
+        lines.push(`await page.evaluate(() => window.scrollTo(${position.x}, ${position.y}));`);
+      }
+      break;
+    }
+
+    case 'dragAndDrop':
+      lines.push(`await ${locate()}.dragTo(${locate(step.target)});`);
+      break;
+
+    case 'upload': {
+      const { uploads, notes } = getScriptUploadFiles(step, files);
+      lines.push(...notes.map(note => `// ${note}`));
+      if (step.tagName && step.tagName !== 'input') {
+        lines.push('// setInputFiles needs a file input; Wave dropped these files onto the element');
+      }
+      lines.push(
+        `await ${locate()}.setInputFiles([`,
+        ...uploads.map((file, i) =>
+          `  { name: ${file.name}, mimeType: ${scriptString(file.type)}, buffer: ${file.buffer} }${i < uploads.length - 1 ? ',' : ''}`),
+        ']);'
+      );
+      break;
+    }
+
+    case 'input':
+      lines.push(step.tagName === 'select'
+        ? `await ${locate()}.selectOption(${scriptValue(step)});`
+        : `await ${locate()}.fill(${scriptValue(step)});`);
+      break;
+
+    case 'wait':
+      lines.push(`await page.waitForTimeout(${parseInt(step.value) || 1000});`);
+      break;
+
+    case 'waitFor': {
+      const waits = {
+        visible: () => `await ${locate()}.waitFor({ state: 'visible' });`,
+        hidden: () => `await ${locate()}.waitFor({ state: 'hidden' });`,
+        enabled: () => `await expect(${locate()}).toBeEnabled();`,
+        networkIdle: () => `await page.waitForLoadState('networkidle');`,
+        urlChange: () => step.value ? `await page.waitForURL(${patternToRegexLiteral(step.value)});` : null
+      };
+      const wait = waits[step.condition]?.();
+      lines.push(wait || `// Not translated: "${describeStepForScript(step)}" has no Playwright equivalent`);
+      break;
+    }
+
+    case 'keydown': {
+      // Wave's key combinations use Playwright's naming
+      const combo = scriptString(getPlaywrightKeyCombo(step.value));
+      lines.push(step.selector
+        ? `await ${locate()}.press(${combo});`
+        : `await page.keyboard.press(${combo});`);
+      break;
+    }
+
+    case 'assert': {
+      const matchers = {
+        exists: () => `await expect(${locate()}).toBeVisible();`,
+        absent: () => `await expect(${locate()}).toBeHidden();`,
+        textContains: () => `await expect(${locate()}).toContainText(${scriptValue(step)});`,
+        textEquals: () => `await expect(${locate()}).toHaveText(${scriptValue(step)});`,
+        valueEquals: () => `await expect(${locate()}).toHaveValue(${scriptValue(step)});`,
+        urlMatches: () => `await expect(page).toHaveURL(${patternToRegexLiteral(step.value)});`,
+        titleMatches: () => `await expect(page).toHaveTitle(${patternToRegexLiteral(step.value)});`
+      };
+      const matcher = matchers[step.assertion];
+      lines.push(matcher ? matcher() : `// Not translated: unknown assertion "${step.assertion}"`);
+      break;
+    }
+
+    case 'if': {
+      const conditions = {
+        exists: () => `await ${locate()}.first().isVisible()`,
+        textMatches: () => `${patternToRegexLiteral(step.value)}.test(await ${locate()}.first().innerText())`,
+        urlMatches: () => `${patternToRegexLiteral(step.value)}.test(page.url())`,
+        variableEquals: () => step.variable ? `vars.${step.variable} === ${scriptValue(step)}` : null
+      };
+      lines.push(...getScriptIfLines(step, path, 'playwright', script, conditions[step.condition]?.()));
+      break;
+    }
+
+    case 'repeat':
+    case 'forEach': {
+      const loop = getScriptLoopNames(script);
+      const elements = step.type === 'forEach' && step.source !== 'list' ? `(await ${locate()}.all())` : null;
+      lines.push(...getScriptLoopLines(step, path, 'playwright', loop, elements, `(await ${loop.element}.innerText()).trim()`));
+      break;
+    }
+
+    case 'callWorkflow':
+      lines.push(...getScriptCallLines(step, 'playwright', script));
+      break;
+
+    case 'extract': {
+      const readers = {
+        text: () => `(await ${locate()}.innerText()).trim()`,
+        value: () => `await ${locate()}.inputValue()`,
+        attribute: () => `(await ${locate()}.getAttribute(${scriptString(step.value ?? '')})) ?? ''`,
+        list: () => `JSON.stringify((await ${locate()}.allInnerTexts()).map(text => text.trim()))`,
+        table: () => `JSON.stringify(await ${locate()}.evaluate(${SCRIPT_TABLE_READER}))`
+      };
+      lines.push(getScriptExtractLine(step, readers[step.extract]));
+      break;
+    }
+
+    default:
+      lines.push(`// Not translated: Wave step type "${step.type}" has no Playwright equivalent yet`);
+  }
+
+  lines.push('');
+  return lines;
+}
+
+function translateStepForPuppeteer(step, path, script = {}) {
+  const { files = {} } = script;
+  const label = formatStepPath(path);
+  const lines = [`// Step ${label}: ${describeStepForScript(step)}`];
+  const locate = () => {
+    const { selector, note } = getPuppeteerSelector(step.selector);
+    if (note) lines.push(`// ${note}`);
+    return scriptString(selector);
+  };
+
+  // Puppeteer's locators can't start from an element handle
+  if ([step.selector, step.target].some(isScopedSelector)) {
+    lines.push('// Not translated: ":scope" selectors are only exported to Playwright', '');
+    return lines;
+  }
+
+  // Steps inside iframes query the frame instead of the page
+  let scope = 'page';
+  if (step.frame?.path?.length && step.selector) {
+    scope = `frame${label.replace(/\./g, '_')}`;
+    lines.push(`const ${scope} = ${getPuppeteerFrameExpression(step.frame.path)};`);
+  }
+
+  switch (step.type) {
+    case 'navigate':
+      lines.push(`await page.goto(${scriptValue(step)});`);
+      break;
+
+    case 'click':
+      lines.push(`await ${scope}.locator(${locate()}).click();`);
+      break;
+
+    case 'dblclick':
+      lines.push(`await ${scope}.locator(${locate()}).click({ count: 2 });`);
+      break;
+
+    case 'contextmenu':
+      lines.push(`await ${scope}.locator(${locate()}).click({ button: 'right' });`);
+      break;
+
+    case 'hover':
+      lines.push(`await ${scope}.locator(${locate()}).hover();`);
+      break;
+
+    case 'scroll': {
+      const position = parseScrollPosition(step.value);
+      if (step.value === 'intoView') {
+        lines.push(`await ${scope}.$eval(${locate()}, el => el.scrollIntoView({ block: 'center' }));`);
+      } else if (!position) {
+        lines.push(`// Not translated: invalid scroll position "${step.value}"`);
+      } else if (step.selector) {
+        lines.push(`await ${scope}.$eval(${locate()}, el => el.scrollTo(${position.x}, ${position.y}));`);
+      } else {
+        lines.push(`await page.evaluate(() => window.scrollTo(${position.x}, ${position.y}));`);
+      }
+      break;
+    }
+
+    case 'dragAndDrop': {
+      // Drag with the mouse, which covers both native and pointer-based drag and drop
+      const source = locate();
+      const { selector: target, note } = getPuppeteerSelector(step.target);
+      if (note) lines.push(`// ${note}`);
+      lines.push(
+        '{',
+        `  const from = await (await ${scope}.waitForSelector(${source})).boundingBox();`,
+        `  const to = await (await ${scope}.waitForSelector(${scriptString(target)})).boundingBox();`,
+        '  await page.mouse.move(from.x + from.width / 2, from.y + from.height / 2);',
+        '  await page.mouse.down();',
+        '  await page.mouse.move(to.x + to.width / 2, to.y + to.height / 2, { steps: 10 });',
+        '  await page.mouse.up();',
+        '}'
+      );
+      break;
+    }
+
+    case 'upload': {
+      const { uploads, notes } = getScriptUploadFiles(step, files);
+      lines.push(...notes.map(note => `// ${note}`));
+      if (step.tagName && step.tagName !== 'input') {
+        lines.push('// uploadFile needs a file input; Wave dropped these files onto the element');
+      }
+      lines.push(
+        '{',
+        `  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wave-'));`,
+        `  const files = [${uploads.map(file => file.name).join(', ')}].map(name => path.join(dir, name));`,
+        ...uploads.map((file, i) => `  fs.writeFileSync(files[${i}], ${file.buffer});`),
+        `  const input = await ${scope}.waitForSelector(${locate()});`,
+        '  await input.uploadFile(...files);',
+        '}'
+      );
+      break;
+    }
+
+    case 'input':
+      // Locator.fill handles inputs, textareas, selects and contenteditable
+      lines.push(`await ${scope}.locator(${locate()}).fill(${scriptValue(step)});`);
+      break;
+
+    case 'wait':
+      lines.push(`await new Promise(resolve => setTimeout(resolve, ${parseInt(step.value) || 1000}));`);
+      break;
+
+    case 'waitFor': {
+      const waits = {
+        visible: () => `await ${scope}.waitForSelector(${locate()}, { visible: true });`,
+        hidden: () => `await ${scope}.waitForSelector(${locate()}, { hidden: true });`,
+        enabled: () => `await ${scope}.waitForFunction(el => !el.disabled && el.getAttribute('aria-disabled') !== 'true', {}, await ${scope}.waitForSelector(${locate()}));`,
+        networkIdle: () => `await page.waitForNetworkIdle({ idleTime: ${parseInt(step.value) || 500} });`,
+        urlChange: () => step.value ? `await page.waitForFunction(() => ${patternToRegexLiteral(step.value)}.test(location.href));` : null
+      };
+      const wait = waits[step.condition]?.();
+      lines.push(wait || `// Not translated: "${describeStepForScript(step)}" has no Puppeteer equivalent`);
+      break;
+    }
+
+    case 'keydown':
+      if (step.selector) {
+        lines.push(`await ${scope}.focus(${locate()});`);
+      }
+      lines.push(...getPuppeteerKeyLines(step.value));
+      break;
+
+    case 'assert': {
+      const message = scriptString(`Step ${label}: ${describeStepForScript(step)}`);
+      const readText = () => `(await ${scope}.$eval(${locate()}, el => el.textContent.trim().replace(/\\s+/g, ' ')))`;
+      const matchers = {
+        exists: () => `await ${scope}.waitForSelector(${locate()}, { visible: true });`,
+        absent: () => `await ${scope}.waitForSelector(${locate()}, { hidden: true });`,
+        textContains: () => `assert.ok(${readText()}.includes(${scriptValue(step)}), ${message});`,
+        textEquals: () => `assert.strictEqual(${readText()}, ${scriptValue(step)}, ${message});`,
+        valueEquals: () => `assert.strictEqual(await ${scope}.$eval(${locate()}, el => el.value), ${scriptValue(step)}, ${message});`,
+        urlMatches: () => `assert.match(page.url(), ${patternToRegexLiteral(step.value)}, ${message});`,
+        titleMatches: () => `assert.match(await page.title(), ${patternToRegexLiteral(step.value)}, ${message});`
+      };
+      const matcher = matchers[step.assertion];
+      lines.push(matcher ? matcher() : `// Not translated: unknown assertion "${step.assertion}"`);
+      break;
+    }
+
+    case 'if': {
+      const readText = () => `(await ${scope}.$eval(${locate()}, el => el.innerText.trim()).catch(() => ''))`;
+      const conditions = {
+        exists: () => `await (await ${scope}.$(${locate()}))?.isVisible()`,
+        textMatches: () => `${patternToRegexLiteral(step.value)}.test(${readText()})`,
+        urlMatches: () => `${patternToRegexLiteral(step.value)}.test(page.url())`,
+        variableEquals: () => step.variable ? `vars.${step.variable} === ${scriptValue(step)}` : null
+      };
+      lines.push(...getScriptIfLines(step, path, 'puppeteer', script, conditions[step.condition]?.()));
+      break;
+    }
+
+    case 'repeat':
+    case 'forEach': {
+      const loop = getScriptLoopNames(script);
+      const elements = step.type === 'forEach' && step.source !== 'list' ? `(await ${scope}.$$(${locate()}))` : null;
+      lines.push(...getScriptLoopLines(step, path, 'puppeteer', loop, elements, `await ${loop.element}.evaluate(el => el.innerText.trim())`));
+      break;
+    }
+
+    case 'callWorkflow':
+      lines.push(...getScriptCallLines(step, 'puppeteer', script));
+      break;
+
+    case 'extract': {
+      const readers = {
+        text: () => `await ${scope}.$eval(${locate()}, el => el.innerText.trim())`,
+        value: () => `await ${scope}.$eval(${locate()}, el => el.value)`,
+        attribute: () => `await ${scope}.$eval(${locate()}, (el, name) => el.getAttribute(name) ?? '', ${scriptString(step.value ?? '')})`,
+        list: () => `JSON.stringify(await ${scope}.$$eval(${locate()}, els => els.map(el => el.innerText.trim())))`,
+        table: () => `JSON.stringify(await ${scope}.$eval(${locate()}, ${SCRIPT_TABLE_READER}))`
+      };
+      lines.push(getScriptExtractLine(step, readers[step.extract]));
+      break;
+    }
+
+    default:
+      lines.push(`// Not translated: Wave step type "${step.type}" has no Puppeteer equivalent yet`);
+  }
+
+  lines.push('');
+  return lines;
+}
+
+// A condition that can't be translated leaves the whole block as a comment
+function getScriptIfLines(step, path, target, script, condition) {
+  if (!condition) {
+    return [`// Not translated: "${describeStepForScript(step)}" has no ${SCRIPT_TARGETS[target].name} equivalent`];
+  }
+
+  const lines = [`if (${condition}) {`, ...translateNestedScriptSteps(step, path, 'steps', target, script)];
+  if (step.elseSteps?.length > 0) {
+    lines.push('} else {', ...translateNestedScriptSteps(step, path, 'elseSteps', target, script));
+  }
+  lines.push('}');
+  return lines;
+}
+
+// Loops set vars.index (from 1) and a forEach's item variable, as in Wave.
+// `elements` is the expression listing a forEach's matched elements
+function getScriptLoopLines(step, path, target, loop, elements, elementText) {
+  const { index, element } = loop;
+  const setVars = [`vars.index = String(${index} + 1);`];
+  let nestedScript = loop.script;
+  let header;
+
+  if (step.type === 'repeat') {
+    const count = /^\d+$/.test(String(step.value ?? '').trim()) ? parseInt(step.value) : `Number(${scriptValue(step)})`;
+    header = `for (let ${index} = 0; ${index} < ${count}; ${index}++) {`;
+  } else if (elements) {
+    header = `for (const [${index}, ${element}] of ${elements}.entries()) {`;
+    setVars.push(`vars.${getLoopVariable(step)} = ${elementText};`);
+    // Nested ":scope" selectors start from this element
+    nestedScript = { ...loop.script, element };
+  } else {
+    const items = String(step.value ?? '').match(VARIABLE_PATTERN)
+      ? `${scriptValue(step)}.split(/\\n|,/).map(value => value.trim()).filter(Boolean)`
+      : `[${parseLoopList(step.value).map(scriptString).join(', ')}]`;
+    header = `for (const [${index}, ${element}] of ${items}.entries()) {`;
+    setVars.push(`vars.${getLoopVariable(step)} = ${element};`);
   }
-}
 
-function startEditName(workflowId, element) {
-  const workflow = state.workflows.find(w => w.id === workflowId);
-  if (!workflow) return;
+  return [header, ...indentLines(setVars, 1), ...translateNestedScriptSteps(step, path, 'steps', target, nestedScript), '}'];
+}
 
-  // Get current name (without the schedule badge)
-  const currentName = workflow.name;
+// Steps that may fail without stopping the run are wrapped in try/catch;
+// timeouts and retries only become a note, as both libraries handle them differently
+function applyScriptStepPolicy(lines, step, path, workflow) {
+  const defaults = workflow.stepDefaults || {};
+  const timeout = step.timeout ?? defaults.timeout;
+  const retries = step.retries ?? defaults.retries ?? 0;
+  const onFailure = step.onFailure ?? defaults.onFailure ?? DEFAULT_STEP_POLICY.onFailure;
+
+  const [heading, ...rest] = lines;
+  const body = rest.slice(0, -1);
+  const result = [heading];
+
+  const notes = [];
+  if (timeout) notes.push(`waits up to ${timeout}ms`);
+  if (retries > 0) notes.push(`retries ${retries} time${retries !== 1 ? 's' : ''}`);
+  if (notes.length > 0) {
+    result.push(`// In Wave this step ${notes.join(' and ')}`);
+  }
 
-  // Replace with input
-  const input = document.createElement('input');
-  input.type = 'text';
-  input.className = 'input edit-name-input';
-  input.value = currentName;
+  if (onFailure === 'abort') {
+    return [...result, ...body, ''];
+  }
 
-  const container = element.parentElement;
-  element.style.display = 'none';
-  container.insertBefore(input, element);
+  return [
+    ...result,
+    'try {',
+    ...indentLines(body, 1),
+    '} catch (err) {',
+    `  console.warn(${scriptString(`Step ${formatStepPath(path)} failed, continuing:`)}, err.message);`,
+    '}',
+    ''
+  ];
+}
 
-  input.focus();
-  input.select();
+// Wave's tag:text("...") and tag:label("...") selectors -> Playwright locators.
+// Playwright's CSS pierces open shadow roots, so host >>> inner chains
+// become chained locators.
+function getPlaywrightLocator(selector, scope = 'page') {
+  const { first, note } = pickScriptSelector(selector);
 
-  const saveEdit = async () => {
-    const newName = input.value.trim();
-    if (newName && newName !== currentName) {
-      await renameWorkflow(workflowId, newName);
-    } else {
-      // Restore original
-      input.remove();
-      element.style.display = '';
+  const expr = first.split('>>>').map(part => part.trim()).reduce((parent, part) => {
+    const pseudo = parseScriptPseudoSelector(part);
+    if (pseudo?.kind === 'text') {
+      return `${parent}.locator(${scriptString(`${pseudo.tag}:text-is("${pseudo.text.replace(/"/g, '\\"')}")`)})`;
     }
-  };
-
-  input.addEventListener('blur', saveEdit);
-  input.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      input.blur();
-    } else if (e.key === 'Escape') {
-      input.value = currentName; // Reset to original
-      input.blur();
+    if (pseudo?.kind === 'label') {
+      return `${parent}.getByLabel(${scriptString(pseudo.text)}, { exact: true })`;
     }
-  });
-}
+    return `${parent}.locator(${scriptString(part)})`;
+  }, scope);
 
-async function renameWorkflow(workflowId, newName) {
-  try {
-    const workflow = state.workflows.find(w => w.id === workflowId);
-    if (!workflow) return;
+  return { expr, note };
+}
 
-    const response = await sendMessage({
-      type: 'SAVE_WORKFLOW',
-      data: {
-        ...workflow,
-        name: newName,
-        updatedAt: new Date().toISOString()
-      }
-    });
+// ":scope" selectors inside a forEach over elements start from its element
+function getPlaywrightScopedLocator(selector, frameScope, element) {
+  if (!element || !isScopedSelector(selector)) {
+    return getPlaywrightLocator(selector, frameScope);
+  }
 
-    if (response.success) {
-      await loadWorkflows();
-      showSuccess('Workflow renamed');
-    }
-  } catch (err) {
-    showError('Failed to rename: ' + err.message);
-    await loadWorkflows(); // Refresh to restore UI
+  const rest = selector.trim().slice(':scope'.length).trim();
+  if (!rest) {
+    return { expr: element, note: null };
   }
+  return getPlaywrightLocator(/^[>+~]/.test(rest) ? `:scope ${rest}` : rest, element);
 }
 
-function getScheduleTitle(schedule) {
-  if (!schedule) return '';
-  let title = `Every ${schedule.intervalMinutes} min`;
-  if (schedule.lastRun) {
-    const ago = getTimeAgo(new Date(schedule.lastRun));
-    title += `\nLast run: ${ago}`;
-    if (schedule.lastStatus === 'failed') {
-      title += ` (failed: ${schedule.lastError || 'unknown'})`;
-    }
-  }
-  return title;
+function getPlaywrightFrameScope(frame) {
+  return (frame?.path || []).reduce((scope, selector) => `${scope}.frameLocator(${scriptString(selector)})`, 'page');
 }
 
-function getTimeAgo(date) {
-  const seconds = Math.floor((new Date() - date) / 1000);
-  if (seconds < 60) return 'just now';
-  const minutes = Math.floor(seconds / 60);
-  if (minutes < 60) return `${minutes}m ago`;
-  const hours = Math.floor(minutes / 60);
-  if (hours < 24) return `${hours}h ago`;
-  const days = Math.floor(hours / 24);
-  return `${days}d ago`;
+function getPuppeteerFrameExpression(path) {
+  return path.reduce((scope, selector) => {
+    const parent = scope === 'page' ? scope : `(${scope})`;
+    return `await (await ${parent}.waitForSelector(${scriptString(selector)})).contentFrame()`;
+  }, 'page');
 }
 
-function showScheduleMenu(workflowId, btn) {
-  // Remove existing menu
-  const existingMenu = document.querySelector('.schedule-menu');
-  if (existingMenu) existingMenu.remove();
+// Puppeteer has no exact-text CSS pseudo-class, so text and label selectors
+// become XPath. Its >>> combinator pierces shadow roots just like Wave's.
+function getPuppeteerSelector(selector) {
+  const { first, note } = pickScriptSelector(selector);
+  const parts = first.split('>>>').map(part => part.trim());
+  const converted = parts.map(getPuppeteerSelectorPart);
 
-  const schedule = state.schedules[workflowId];
-  const currentInterval = schedule?.intervalMinutes || 0;
+  let partNote = converted.map(part => part.note).find(Boolean) || null;
+  if (parts.length > 1 && parts.some(parseScriptPseudoSelector)) {
+    partNote = 'XPath does not search inside shadow roots; check this selector';
+  }
 
-  const menu = document.createElement('div');
-  menu.className = 'schedule-menu';
-  menu.innerHTML = `
-    <div class="schedule-menu-title">Health Check Schedule</div>
-    <div class="schedule-options">
-      <button class="schedule-option ${currentInterval === 0 ? 'active' : ''}" data-interval="0">Off</button>
-      <button class="schedule-option ${currentInterval === 30 ? 'active' : ''}" data-interval="30">30 min</button>
-      <button class="schedule-option ${currentInterval === 60 ? 'active' : ''}" data-interval="60">1 hour</button>
-      <button class="schedule-option ${currentInterval === 360 ? 'active' : ''}" data-interval="360">6 hours</button>
-      <button class="schedule-option ${currentInterval === 720 ? 'active' : ''}" data-interval="720">12 hours</button>
-      <button class="schedule-option ${currentInterval === 1440 ? 'active' : ''}" data-interval="1440">Daily</button>
-    </div>
-    ${schedule?.lastRun ? `
-    <div class="schedule-status">
-      Last: ${getTimeAgo(new Date(schedule.lastRun))}
-      <span class="status-dot ${schedule.lastStatus}"></span>
-    </div>
-    ` : ''}
-  `;
+  return { selector: converted.map(part => part.selector).join(' >>> '), note: note || partNote };
+}
 
-  // Position menu
-  const rect = btn.getBoundingClientRect();
-  menu.style.top = `${rect.bottom + 4}px`;
-  menu.style.right = `${document.body.clientWidth - rect.right}px`;
+function getPuppeteerSelectorPart(part) {
+  const pseudo = parseScriptPseudoSelector(part);
 
-  document.body.appendChild(menu);
+  if (pseudo?.kind === 'text') {
+    return { selector: `::-p-xpath(//${pseudo.tag}[normalize-space(.)=${xpathString(pseudo.text)}])` };
+  }
+  if (pseudo?.kind === 'label') {
+    const label = `//label[normalize-space(.)=${xpathString(pseudo.text)}]`;
+    return {
+      selector: `::-p-xpath(//${pseudo.tag}[@id=${label}/@for] | ${label}//${pseudo.tag})`,
+      note: 'Label lookup ignores aria-labelledby, unlike Wave'
+    };
+  }
+  return { selector: part };
+}
 
-  // Handle clicks
-  menu.querySelectorAll('[data-interval]').forEach(option => {
-    option.addEventListener('click', async () => {
-      const interval = parseInt(option.dataset.interval);
-      await setSchedule(workflowId, interval);
-      menu.remove();
-    });
-  });
+// Name and Buffer expressions for an upload step's files: stored files are
+// inlined as base64, text files keep their {{variables}}
+function getScriptUploadFiles(step, files) {
+  const uploads = [];
+  const notes = [];
+
+  for (const file of step.files || []) {
+    const name = scriptValue({ value: file.name });
+    if (typeof file.content === 'string') {
+      uploads.push({ name, type: file.type || 'text/plain', buffer: `Buffer.from(${scriptValue({ value: file.content })})` });
+    } else if (files[file.fileId]) {
+      uploads.push({ name, type: file.type || files[file.fileId].type || '', buffer: `Buffer.from('${files[file.fileId].data}', 'base64')` });
+    } else {
+      notes.push(`Not exported: file "${file.name}" isn't stored with this workflow`);
+    }
+  }
 
-  // Close on click outside
-  setTimeout(() => {
-    document.addEventListener('click', function closeMenu(e) {
-      if (!menu.contains(e.target)) {
-        menu.remove();
-        document.removeEventListener('click', closeMenu);
-      }
-    });
-  }, 0);
+  return { uploads, notes };
 }
 
-async function setSchedule(workflowId, intervalMinutes) {
-  try {
-    const response = await sendMessage({
-      type: 'SCHEDULE_WORKFLOW',
-      data: { workflowId, intervalMinutes }
-    });
+function parseScrollPosition(value) {
+  const match = String(value || '').match(/^\s*(-?\d+)\s*,\s*(-?\d+)\s*$/);
+  return match ? { x: parseInt(match[1]), y: parseInt(match[2]) } : null;
+}
 
-    if (response.success) {
-      await loadWorkflows();
-      if (intervalMinutes > 0) {
-        showSuccess(`Scheduled every ${intervalMinutes} min`);
-      } else {
-        showSuccess('Schedule removed');
-      }
-    }
-  } catch (err) {
-    showError('Failed to set schedule: ' + err.message);
-  }
+// Recorded letters are upper case, which Playwright presses as a shifted key
+function getPlaywrightKeyCombo(combo) {
+  const parts = String(combo || '').split(/\+(?!$)/);
+  const key = parts[parts.length - 1];
+  if (key.length !== 1 || parts.includes('Shift')) return combo;
+  return [...parts.slice(0, -1), key.toLowerCase()].join('+');
 }
 
-// ============================================================================
-// Import/Export
-// ============================================================================
+// Puppeteer presses one key at a time, so modifiers are held around it
+function getPuppeteerKeyLines(combo) {
+  const parts = String(combo || '').split(/\+(?!$)/);
+  const modifiers = parts.slice(0, -1);
+  let key = parts[parts.length - 1];
+  if (key.length === 1 && !modifiers.includes('Shift')) key = key.toLowerCase();
+
+  return [
+    ...modifiers.map(modifier => `await page.keyboard.down(${scriptString(modifier)});`),
+    `await page.keyboard.press(${scriptString(key)});`,
+    ...modifiers.reverse().map(modifier => `await page.keyboard.up(${scriptString(modifier)});`)
+  ];
+}
 
-async function handleExportWorkflows() {
-  if (state.workflows.length === 0) {
-    showError('No workflows to export');
-    return;
-  }
+// Top-level commas only, as in the content script's selector lists
+function splitSelectorList(selector) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === '\\') {
+      current += char + (selector[++i] ?? '');
+      continue;
+    }
 
-  try {
-    const exportData = {
-      version: '1.0',
-      exportedAt: new Date().toISOString(),
-      workflows: state.workflows
-    };
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if ((char === ')' || char === ']') && depth > 0) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
 
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `wave-workflows-${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
+function pickScriptSelector(selector) {
+  const parts = splitSelectorList(selector || '');
+  if (parts.length === 0) {
+    return { first: '', note: 'Step has no selector' };
+  }
 
-    URL.revokeObjectURL(url);
-    showSuccess(`Exported ${state.workflows.length} workflow(s)`);
-  } catch (err) {
-    showError('Export failed: ' + err.message);
+  // Plain CSS lists are valid as-is; lists mixing Wave's text/label forms are not
+  if (parts.length > 1 && parts.some(parseScriptPseudoSelector)) {
+    return { first: parts[0], note: `Wave also tried: ${parts.slice(1).join(', ')}` };
   }
+  return { first: parts.length > 1 ? parts.join(', ') : parts[0], note: null };
 }
 
-async function handleImportWorkflows(event) {
-  const file = event.target.files?.[0];
-  if (!file) return;
+function parseScriptPseudoSelector(selector) {
+  const match = selector.match(/^(\w+):(text|label)\("(.+)"\)$/);
+  if (!match) return null;
+  return { tag: match[1], kind: match[2], text: match[3].replace(/\\"/g, '"') };
+}
 
-  try {
-    const text = await file.text();
-    const data = JSON.parse(text);
+function describeStepForScript(step) {
+  const label = STEP_TYPES[step.type]?.label || step.type;
+  const detail = step.type === 'assert'
+    ? STEP_FIELD_OPTIONS.assertion[step.assertion] || step.assertion
+    : step.type === 'if' ? [IF_CONDITIONS[step.condition] || step.condition, step.variable, step.selector, step.value].filter(Boolean).join(' ')
+    : step.type === 'repeat' ? `${step.value} times`
+    : step.type === 'forEach' ? `${step.source === 'list' ? String(step.value ?? '').split('\n').join(', ') : step.selector} as {{${getLoopVariable(step)}}}`
+    : step.type === 'waitFor' ? [STEP_FIELD_OPTIONS.condition[step.condition] || step.condition, step.selector || step.value].filter(Boolean).join(' ')
+    : step.type === 'keydown' ? step.value
+    : step.type === 'extract' ? `${STEP_FIELD_OPTIONS.extract[step.extract] || step.extract} of ${step.selector}${step.extract === 'attribute' ? ` [${step.value}]` : ''} as {{${step.variable}}}`
+    : step.type === 'callWorkflow' ? `"${state.workflows.find(w => w.id === step.workflowId)?.name || 'deleted workflow'}"`
+    : step.type === 'dragAndDrop' ? `${step.selector} to ${step.target}`
+    : step.type === 'upload' ? (step.files || []).map(file => file.name).join(', ')
+    : step.type === 'scroll' ? `${step.selector || 'page'} ${step.value === 'intoView' ? 'into view' : `to ${step.value}`}`
+    : step.secret ? `secret "${step.secret}"` : step.selector || step.value || '';
+  return `${label}${detail ? ` ${String(detail).replace(/\n/g, ' ')}` : ''}`;
+}
 
-    // Validate structure
-    if (!data.workflows || !Array.isArray(data.workflows)) {
-      throw new Error('Invalid file format');
-    }
+// Value expression: secrets from the environment, {{variables}} from `vars`
+function scriptValue(step) {
+  if (step.secret) {
+    return `process.env.${getSecretEnvName(step.secret)}`;
+  }
 
-    // Validate each workflow
-    const validWorkflows = data.workflows.filter(w =>
-      w.id && w.name && Array.isArray(w.steps)
-    );
+  const value = String(step.value ?? '');
+  if (!value.match(VARIABLE_PATTERN)) {
+    return scriptString(value);
+  }
 
-    if (validWorkflows.length === 0) {
-      throw new Error('No valid workflows found in file');
-    }
+  // Rebuild as a template literal, escaping what a template would interpret
+  let template = '';
+  let lastIndex = 0;
+  for (const match of value.matchAll(VARIABLE_PATTERN)) {
+    template += escapeTemplateText(value.slice(lastIndex, match.index)) + `\${vars.${match[1]}}`;
+    lastIndex = match.index + match[0].length;
+  }
+  template += escapeTemplateText(value.slice(lastIndex));
+  return `\`${template}\``;
+}
 
-    // Import workflows (merge with existing, update if same ID)
-    let imported = 0;
-    let updated = 0;
+function escapeTemplateText(text) {
+  return text
+    .replace(/[\\`]/g, '\\$&')
+    .replace(/\$\{/g, '\\${')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
 
-    for (const workflow of validWorkflows) {
-      const existing = state.workflows.find(w => w.id === workflow.id);
-      if (existing) {
-        updated++;
-      } else {
-        imported++;
-      }
+function scriptString(text) {
+  return `'${String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')}'`;
+}
 
-      await sendMessage({
-        type: 'SAVE_WORKFLOW',
-        data: {
-          ...workflow,
-          updatedAt: new Date().toISOString()
-        }
-      });
-    }
+function xpathString(text) {
+  if (!text.includes('"')) return `"${text}"`;
+  if (!text.includes("'")) return `'${text}'`;
+  // Both quote kinds: stitch the pieces together
+  return `concat(${text.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+}
 
-    await loadWorkflows();
+// Wave patterns ("*" wildcard or /regex/) -> JS regex literal
+function patternToRegexLiteral(pattern) {
+  const value = String(pattern ?? '');
+  if (/^\/(.+)\/([gimsuy]*)$/.test(value)) {
+    return value;
+  }
 
-    const msg = [];
-    if (imported > 0) msg.push(`${imported} imported`);
-    if (updated > 0) msg.push(`${updated} updated`);
-    showSuccess(`Workflows: ${msg.join(', ')}`);
+  const source = value
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\\/]/g, '\\$&'))
+    .join('.*');
+  return `/^${source}$/`;
+}
 
-  } catch (err) {
-    if (err instanceof SyntaxError) {
-      showError('Invalid JSON file');
-    } else {
-      showError('Import failed: ' + err.message);
-    }
-  }
+function getVariableEnvName(name) {
+  return `WAVE_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
 
-  // Reset file input
-  event.target.value = '';
+function getSecretEnvName(name) {
+  return `WAVE_SECRET_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+function indentLines(lines, depth) {
+  const pad = '  '.repeat(depth);
+  return lines.map(line => (line ? pad + line : line));
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'workflow';
 }
 
 // ============================================================================
@@ -904,6 +4556,18 @@ function sendMessage(message, timeoutMs = 30000) {
   });
 }
 
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -923,6 +4587,44 @@ function setButtonLoading(btn, loading, text = '') {
   }
 }
 
+function openModal(title, contentHtml) {
+  closeModal();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  overlay.innerHTML = `
+    <div class="modal" role="dialog" aria-modal="true">
+      <div class="modal-header">
+        <h3 class="modal-title">${escapeHtml(title)}</h3>
+        <button class="btn btn-ghost btn-icon" data-modal-close title="Close">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+      <div class="modal-body">${contentHtml}</div>
+    </div>
+  `;
+
+  // Close on backdrop click, close buttons and Escape
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay || e.target.closest('[data-modal-close]')) {
+      closeModal();
+    }
+  });
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeModal();
+  });
+
+  document.body.appendChild(overlay);
+  return overlay.querySelector('.modal');
+}
+
+function closeModal() {
+  const existing = document.querySelector('.modal-overlay');
+  if (existing) existing.remove();
+}
+
 function showError(message) {
   // Remove existing toast if any
   const existingToast = document.querySelector('.toast');